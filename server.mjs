@@ -1,13 +1,32 @@
 // Titan Sweep&Go MCP server
 
 import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
 import "dotenv/config";
+import YAML from "yaml";
 import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
 import { Server } from "@modelcontextprotocol/sdk/server";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
 
 // ---------------------------------------------------------------------------
@@ -16,121 +35,1592 @@ import {
 
 const PORT = Number(process.env.PORT || 8787);
 const MCP_PATH = "/mcp";
+// Streamable HTTP sessions with no request for this long are closed; 0 keeps
+// them until the client ends them
+const MCP_SESSION_IDLE_SECONDS = Number(process.env.MCP_SESSION_IDLE_SECONDS ?? 1800);
 
 const CRM_BASE_URL =
   process.env.CRM_BASE_URL || "https://openapi.sweepandgo.com";
 const SNG_API_KEY = process.env.SNG_API_KEY || "";
 const ALLOW_WRITES = String(process.env.SNG_ALLOW_WRITES || "false") === "true";
 const ORG_SLUG = process.env.SNG_ORG_SLUG || process.env.SNG_ORGANIZATION || "";
+// Server-wide dry-run: mutating tools describe the request instead of sending it
+const DRY_RUN = String(process.env.SNG_DRY_RUN || "false") === "true";
+// How long a two-step confirmation token for charges/refunds/deletes stays valid
+const CONFIRMATION_TTL_SECONDS = Number(process.env.SNG_CONFIRMATION_TTL_SECONDS || 300);
+// Local state (idempotency results etc.) lives here
+const DATA_DIR = process.env.SNG_DATA_DIR || "./data";
+// Replay window for explicit idempotency keys, and for keys derived from args
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.SNG_IDEMPOTENCY_TTL_SECONDS || 86400);
+const IDEMPOTENCY_WINDOW_SECONDS = Number(process.env.SNG_IDEMPOTENCY_WINDOW_SECONDS || 600);
+
+// Upstream resilience: per-attempt timeout, retries for GETs and 429s, and a
+// per-org circuit breaker that opens after consecutive failures
+const SNG_TIMEOUT_MS = Number(process.env.SNG_TIMEOUT_MS || 10000);
+const SNG_MAX_RETRIES = Number(process.env.SNG_MAX_RETRIES || 2);
+const SNG_RETRY_BASE_MS = Number(process.env.SNG_RETRY_BASE_MS || 300);
+const SNG_MAX_RETRY_WAIT_MS = Number(process.env.SNG_MAX_RETRY_WAIT_MS || 5000);
+const SNG_CIRCUIT_THRESHOLD = Number(process.env.SNG_CIRCUIT_THRESHOLD || 5);
+const SNG_CIRCUIT_COOLDOWN_MS = Number(process.env.SNG_CIRCUIT_COOLDOWN_MS || 30000);
+
+// Per-org limits: tool calls at dispatch, and requests to Sweep&Go in
+// sngRequest. A value of 0 disables that particular limit.
+const RATE_LIMIT_DEFAULTS = {
+  tool_calls_per_minute: Number(process.env.SNG_TOOL_CALLS_PER_MINUTE ?? 120),
+  tool_burst: Number(process.env.SNG_TOOL_BURST ?? 20),
+  tool_max_concurrency: Number(process.env.SNG_TOOL_MAX_CONCURRENCY ?? 5),
+  upstream_requests_per_second: Number(process.env.SNG_UPSTREAM_REQUESTS_PER_SECOND ?? 5),
+  upstream_burst: Number(process.env.SNG_UPSTREAM_BURST ?? 10),
+  upstream_max_concurrency: Number(process.env.SNG_UPSTREAM_MAX_CONCURRENCY ?? 4),
+};
+const LIMIT_QUEUE_TIMEOUT_MS = Number(process.env.SNG_LIMIT_QUEUE_TIMEOUT_MS || 5000);
+const LIMIT_MAX_QUEUE = Number(process.env.SNG_LIMIT_MAX_QUEUE || 50);
+
+// Read-through cache for catalog/pricing GETs. TTLs (seconds) per cache group
+// can be overridden, e.g. SNG_CACHE_TTLS="pricing=300,locations=60"; a TTL of
+// 0 turns that group off. SNG_CACHE_PERSIST=true keeps entries across restarts.
+const CACHE_ENABLED = String(process.env.SNG_CACHE_ENABLED || "true") === "true";
+const CACHE_PERSIST = String(process.env.SNG_CACHE_PERSIST || "false") === "true";
+const CACHE_TTL_OVERRIDES = Object.fromEntries(
+  String(process.env.SNG_CACHE_TTLS || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((s) => s.trim()))
+    .filter(([name, ttl]) => name && ttl !== undefined && ttl !== "")
+    .map(([name, ttl]) => [name, Number(ttl)])
+);
+// Country code assumed for phone numbers given without one (E.164 normalization)
+const DEFAULT_COUNTRY_CODE = String(process.env.SNG_DEFAULT_COUNTRY_CODE || "1").replace(/\D/g, "");
+// Upper bound on records a list tool collects with `all: true`
+const PAGINATE_MAX_RECORDS = Number(process.env.SNG_PAGINATE_MAX_RECORDS || 1000);
+// Money formatting for quotes and charges; tenants can set currency / locale.
+// Charge and refund amounts are sent to Sweep&Go in cents unless
+// SNG_CHARGE_AMOUNT_UNIT=dollars; quote prices always come back in dollars.
+const CURRENCY = process.env.SNG_CURRENCY || "USD";
+const LOCALE = process.env.SNG_LOCALE || "en-US";
+const CHARGE_AMOUNTS_IN_CENTS =
+  String(process.env.SNG_CHARGE_AMOUNT_UNIT || "cents").toLowerCase() !== "dollars";
+// Longest tool result text (characters) before it is cut with a note; 0 = no
+// cap. Tenants can override with max_response_chars.
+const MAX_RESPONSE_CHARS = Number(process.env.SNG_MAX_RESPONSE_CHARS || 20000);
+// Inbound Sweep&Go webhooks (POST /webhooks/sweepandgo) for the env org are
+// verified with this secret; tenants set webhook_secret. Only the newest
+// SNG_WEBHOOK_EVENT_LIMIT events per org are kept.
+const WEBHOOK_SECRET = process.env.SNG_WEBHOOK_SECRET || "";
+const WEBHOOK_EVENT_LIMIT = Number(process.env.SNG_WEBHOOK_EVENT_LIMIT || 500);
 const MCP_TOKEN = process.env.SNG_MCP_TOKEN || process.env.MCP_TOKEN || "";
 
-if (!SNG_API_KEY) {
-  console.warn(
-    "[SNG MCP] WARNING: SNG_API_KEY is not set. All tools will fail until you add it to .env"
-  );
+// Transport mode: `node server.mjs --stdio` or MCP_TRANSPORT=stdio runs the
+// server for desktop MCP clients over stdin/stdout instead of opening a port.
+const STDIO_MODE =
+  process.argv.includes("--stdio") ||
+  String(process.env.MCP_TRANSPORT || "").toLowerCase() === "stdio";
+
+// One-shot CLI commands (--sign-token, --export-audit) print their result on
+// stdout and exit before the server starts.
+const CLI_MODE = ["--sign-token", "--export-audit"].some((flag) =>
+  process.argv.includes(flag)
+);
+
+// stdout carries the JSON-RPC stream in stdio mode (and command output in CLI
+// mode), so every log line must go to stderr instead.
+if (STDIO_MODE || CLI_MODE) {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+// Typed failure raised by tools and the layers under them. `kind` decides how
+// it is reported: tool failures become `isError: true` results the model can
+// read, while `unknown_tool` is a JSON-RPC protocol error (-32602).
+//
+//   validation         arguments failed schema validation
+//   forbidden          tool disabled by policy (including writes switched off)
+//   unknown_tool       no such tool
+//   not_found          Sweep&Go returned 404
+//   upstream_auth      Sweep&Go rejected the credentials (401/403)
+//   upstream_rejected  Sweep&Go refused the request (other 4xx, e.g. 422)
+//   upstream_error     Sweep&Go failed on a write (5xx)
+//   unavailable        Sweep&Go unreachable, timing out or circuit open
+//   rate_limited       a local or upstream rate limit was hit
+//   confirmation       two-step confirmation token was not accepted
+class ToolError extends Error {
+  constructor(kind, message, { status, fields, retryAfterMs } = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.kind = kind;
+    this.status = status ?? null;
+    this.fields = fields || null;
+    this.retryAfterMs = retryAfterMs ?? null;
+  }
+}
+
+// Sweep&Go non-2xx response, with its error body parsed into a message and
+// per-field messages where it has them (Laravel-style `errors: {field: [...]}`)
+class SweepAndGoError extends ToolError {
+  constructor(status, rawText) {
+    const { message, fields } = parseUpstreamError(rawText);
+    const kind =
+      status === 404
+        ? "not_found"
+        : status === 401 || status === 403
+          ? "upstream_auth"
+          : status >= 500
+            ? "upstream_error"
+            : "upstream_rejected";
+    super(kind, `Sweep&Go error ${status}: ${message || "no details"}`, {
+      status,
+      fields,
+    });
+    this.name = "SweepAndGoError";
+    this.upstreamMessage = message;
+  }
+}
+
+function parseUpstreamError(rawText) {
+  const text = String(rawText || "").trim();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // Not JSON (HTML error page, plain text); fall through to the raw text
+  }
+  if (!json || typeof json !== "object") {
+    return { message: text.slice(0, 300), fields: null };
+  }
+
+  let fields = null;
+  const errors = json.errors ?? json.error?.errors;
+  if (errors && typeof errors === "object" && !Array.isArray(errors)) {
+    fields = Object.fromEntries(
+      Object.entries(errors).map(([field, msgs]) => [field, [].concat(msgs).map(String)])
+    );
+  }
+
+  const message =
+    json.message ||
+    (typeof json.error === "string" ? json.error : json.error?.message) ||
+    (Array.isArray(errors) ? errors.map(String).join("; ") : "") ||
+    (fields ? "validation failed" : text.slice(0, 300));
+  return { message, fields };
+}
+
+function fromZodError(err, toolName) {
+  const fields = {};
+  for (const issue of err.issues) {
+    const key = issue.path.join(".") || "(input)";
+    (fields[key] ||= []).push(issue.message);
+  }
+  return new ToolError(
+    "validation",
+    `Invalid arguments${toolName ? ` for ${toolName}` : ""}`,
+    { fields }
+  );
+}
+
+// Normalize anything thrown during a tool call into a ToolError
+function toToolError(err, toolName) {
+  if (err instanceof ToolError) return err;
+  if (err instanceof z.ZodError) return fromZodError(err, toolName);
+  return new ToolError("internal", err?.message || "Server error");
+}
+
+// JSON-RPC error for the SDK Server and handleJsonRpc alike. McpError prefixes
+// its message with "MCP error <code>: ", which clients would show twice.
+function protocolError(code, message) {
+  const err = new McpError(code, message);
+  err.message = message;
+  return err;
+}
+
+// The isError tool result both transports send for a failed call
+function toolErrorResult(err) {
+  const lines = [err.message];
+  if (err.fields) {
+    for (const [field, msgs] of Object.entries(err.fields)) {
+      lines.push(`- ${field}: ${msgs.join("; ")}`);
+    }
+  }
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    isError: true,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tool policy
+// ---------------------------------------------------------------------------
+
+// Every tool in ALL_TOOLS carries one of these categories. "destructive"
+// covers money movement (charges, refunds, pre-authorizations, payment
+// sources), deletions and changes to the organization's own locations.
+const TOOL_CATEGORIES = ["read", "write", "destructive"];
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// A policy enables whole categories, then individual tools are switched on
+// (enabled_tools) or off (disabled_tools) on top of that. Without explicit
+// categories the legacy writes switch decides: off means read-only, on means
+// everything.
+function buildToolPolicy({ categories, enabledTools, disabledTools, allowWrites }) {
+  const cats = parseList(categories);
+  for (const c of cats) {
+    if (!TOOL_CATEGORIES.includes(c)) {
+      throw new Error(
+        `Unknown tool category "${c}" (expected one of ${TOOL_CATEGORIES.join(", ")})`
+      );
+    }
+  }
+  return {
+    categories: new Set(
+      cats.length ? cats : allowWrites ? TOOL_CATEGORIES : ["read"]
+    ),
+    enabledTools: new Set(parseList(enabledTools)),
+    disabledTools: new Set(parseList(disabledTools)),
+  };
+}
+
+const DEFAULT_TOOL_POLICY = buildToolPolicy({
+  categories: process.env.SNG_ALLOWED_CATEGORIES,
+  enabledTools: process.env.SNG_ENABLED_TOOLS,
+  disabledTools: process.env.SNG_DISABLED_TOOLS,
+  allowWrites: ALLOW_WRITES,
+});
+
+// ---------------------------------------------------------------------------
+// Tenant registry
+// ---------------------------------------------------------------------------
+
+// Optional JSON/YAML file mapping opaque MCP access tokens to organization
+// profiles, so callers never hold the real Sweep&Go key:
+//
+//   tenants:
+//     - id: tucson
+//       tokens: ["mcp_tucson_voice_..."]
+//       api_key_env: TUCSON_SNG_API_KEY   # or api_key: "..."
+//       org_slug: titan-tucson
+//       default_location_id: "123"
+//       allowed_tools: [get_quote_recommendations, create_client]
+//       allowed_categories: [read, write]   # or legacy allow_writes: true
+//       enabled_tools: [refund_charge]
+//       disabled_tools: [delete_customer]
+//       dry_run: true
+//       rate_limits: { tool_calls_per_minute: 60, upstream_max_concurrency: 2 }
+//       max_response_chars: 8000
+//       currency: CAD
+//       locale: en-CA
+//       webhook_secret_env: TUCSON_WEBHOOK_SECRET   # or webhook_secret: "..."
+const TENANTS_FILE = process.env.SNG_TENANTS_FILE || "";
+
+function loadTenants(file) {
+  if (!file) return [];
+  const raw = fs.readFileSync(file, "utf8");
+  const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+  const list = Array.isArray(parsed) ? parsed : parsed?.tenants || [];
+
+  return list.map((t, i) => {
+    const id = t.id || t.org_slug || `tenant_${i + 1}`;
+    const apiKey = t.api_key || (t.api_key_env ? process.env[t.api_key_env] : "");
+    const tokens = [].concat(t.tokens || t.token || []).map(String);
+    if (!apiKey || !t.org_slug || !tokens.length) {
+      throw new Error(
+        `Tenant "${id}" in ${file} needs tokens, org_slug and api_key (or api_key_env)`
+      );
+    }
+    return {
+      id,
+      tokens,
+      apiKey,
+      orgSlug: t.org_slug,
+      defaultLocationId:
+        t.default_location_id != null ? String(t.default_location_id) : undefined,
+      allowedTools: Array.isArray(t.allowed_tools) ? t.allowed_tools : null,
+      dryRun: t.dry_run === undefined ? DRY_RUN : Boolean(t.dry_run),
+      rateLimits: { ...RATE_LIMIT_DEFAULTS, ...(t.rate_limits || {}) },
+      currency: t.currency || CURRENCY,
+      locale: t.locale || LOCALE,
+      webhookSecret:
+        t.webhook_secret || (t.webhook_secret_env ? process.env[t.webhook_secret_env] : "") || "",
+      maxResponseChars:
+        t.max_response_chars === undefined
+          ? MAX_RESPONSE_CHARS
+          : Number(t.max_response_chars),
+      policy: buildToolPolicy({
+        categories: t.allowed_categories,
+        enabledTools: t.enabled_tools,
+        disabledTools: t.disabled_tools,
+        allowWrites:
+          t.allow_writes === undefined ? ALLOW_WRITES : Boolean(t.allow_writes),
+      }),
+    };
+  });
+}
+
+const TENANTS = loadTenants(TENANTS_FILE);
+const TENANTS_BY_TOKEN = new Map(
+  TENANTS.flatMap((t) => t.tokens.map((token) => [token, t]))
+);
+
+// With a registry in place, raw x-sng-api-key headers are refused unless
+// explicitly re-enabled; without one they remain the way to pick an org.
+const ALLOW_RAW_SNG_KEYS = process.env.SNG_ALLOW_RAW_KEYS
+  ? String(process.env.SNG_ALLOW_RAW_KEYS) === "true"
+  : TENANTS.length === 0;
+
+if (TENANTS.length) {
+  console.log(`[SNG MCP] Loaded ${TENANTS.length} tenant(s) from ${TENANTS_FILE}`);
+} else if (!SNG_API_KEY) {
+  console.warn(
+    "[SNG MCP] WARNING: SNG_API_KEY is not set. All tools will fail until you add it to .env"
+  );
+}
+
+// MCP access token presented by the caller: Authorization bearer, the
+// MCP_AUTH_HEADER header for proxies that drop Authorization, or an
+// access_token query param.
+function mcpTokenFromRequest(req, parsedUrl) {
+  return (
+    bearerToken(req) ||
+    req.headers[MCP_AUTH_HEADER] ||
+    parsedUrl?.searchParams.get("access_token") ||
+    ""
+  );
+}
+
+function findTenantByToken(token) {
+  return token ? TENANTS_BY_TOKEN.get(String(token)) || null : null;
+}
+
+// Why `tool` may not be used by this caller, or null when it may
+function toolDenialReason(tool, ctx) {
+  const allowed = ctx?.tenant?.allowedTools;
+  if (allowed && !allowed.includes(tool.name)) {
+    return `Tool ${tool.name} is not enabled for this organization`;
+  }
+
+  const policy = ctx?.tenant?.policy || DEFAULT_TOOL_POLICY;
+  if (policy.disabledTools.has(tool.name)) {
+    return `Tool ${tool.name} has been disabled for this ${ctx?.tenant ? "organization" : "server"}`;
+  }
+  if (policy.enabledTools.has(tool.name) || policy.categories.has(tool.category)) {
+    return null;
+  }
+  return ctx?.tenant
+    ? `Tool ${tool.name} is a ${tool.category} tool, which is not enabled for this organization`
+    : `Tool ${tool.name} is a ${tool.category} tool, which is not enabled for this server. Add "${tool.category}" to SNG_ALLOWED_CATEGORIES or the tool name to SNG_ENABLED_TOOLS.`;
+}
+
+function toolAllowed(tool, ctx) {
+  return !toolDenialReason(tool, ctx);
+}
+
+// Fill tenant defaults (currently location_id) into tool args the caller left out
+function withTenantDefaults(args, ctx) {
+  const defaultLocationId = ctx?.tenant?.defaultLocationId;
+  if (!defaultLocationId || (args && args.location_id)) return args;
+  return { ...(args || {}), location_id: defaultLocationId };
+}
+
+// ---------------------------------------------------------------------------
+// Upstream resilience
+// ---------------------------------------------------------------------------
+
+// Raised when Sweep&Go cannot be reached or keeps failing, so every tool
+// reports an outage the same way
+class SweepAndGoUnavailableError extends ToolError {
+  constructor(reason, retryAfterMs) {
+    const seconds = Math.ceil((retryAfterMs || 0) / 1000);
+    const retryIn = seconds
+      ? ` Try again in about ${seconds} second${seconds === 1 ? "" : "s"}.`
+      : "";
+    super("unavailable", `Sweep&Go temporarily unavailable: ${reason}.${retryIn}`, {
+      retryAfterMs,
+    });
+    this.name = "SweepAndGoUnavailableError";
+  }
+}
+
+// Closed -> open after SNG_CIRCUIT_THRESHOLD consecutive failures; after the
+// cooldown a single probe is let through and its result closes or reopens it.
+// One breaker per org, so one tenant's failing requests do not pause others.
+const circuits = new Map();
+
+function circuitFor(orgSlug) {
+  const key = orgSlug || "";
+  if (!circuits.has(key)) {
+    circuits.set(key, { orgSlug: key, failures: 0, openedAt: 0, probing: false });
+  }
+  return circuits.get(key);
+}
+
+function circuitBeforeRequest(circuit) {
+  if (!circuit.openedAt) return;
+  const remaining = circuit.openedAt + SNG_CIRCUIT_COOLDOWN_MS - Date.now();
+  if (remaining > 0 || circuit.probing) {
+    throw new SweepAndGoUnavailableError(
+      "too many recent failures, requests are paused",
+      Math.max(remaining, 1000)
+    );
+  }
+  circuit.probing = true;
+}
+
+function circuitSuccess(circuit) {
+  circuit.failures = 0;
+  circuit.openedAt = 0;
+  circuit.probing = false;
+}
+
+function circuitFailure(circuit) {
+  circuit.failures += 1;
+  if (circuit.probing || circuit.failures >= SNG_CIRCUIT_THRESHOLD) {
+    if (!circuit.openedAt || circuit.probing) {
+      console.warn(
+        `[SNG MCP] circuit open for org ${circuit.orgSlug || "(default)"}: pausing Sweep&Go requests for ${SNG_CIRCUIT_COOLDOWN_MS}ms`
+      );
+    }
+    circuit.openedAt = Date.now();
+    circuit.probing = false;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter
+function backoffMs(attempt) {
+  return Math.round(Math.random() * SNG_RETRY_BASE_MS * 2 ** attempt);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function retryAfterMs(res) {
+  const value = res.headers.get("retry-after");
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(at - Date.now(), 0);
+}
+
+// fetch with a timeout per attempt. GETs are retried on timeouts, network
+// errors and 5xx; any method is retried on 429 since Sweep&Go did not act on
+// it. Other writes are never retried, as the first attempt may have landed.
+async function fetchUpstream(url, init, orgSlug) {
+  const idempotent = init.method === "GET";
+  const circuit = circuitFor(orgSlug);
+
+  for (let attempt = 0; ; attempt++) {
+    circuitBeforeRequest(circuit);
+
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(SNG_TIMEOUT_MS) });
+    } catch (err) {
+      const timedOut = err?.name === "TimeoutError";
+      recordUpstreamStatus(timedOut ? "timeout" : "network_error");
+      circuitFailure(circuit);
+      if (idempotent && attempt < SNG_MAX_RETRIES && !circuit.openedAt) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      const unavailable = new SweepAndGoUnavailableError(
+        timedOut
+          ? `no response within ${SNG_TIMEOUT_MS / 1000} seconds`
+          : `could not connect (${err?.cause?.code || err?.message || "network error"})`
+      );
+      // A write may have reached Sweep&Go before the connection failed
+      unavailable.outcomeUnknown = !idempotent;
+      throw unavailable;
+    }
+
+    recordUpstreamStatus(res.status);
+
+    if (res.status === 429 || res.status >= 500) {
+      if (res.status >= 500) {
+        circuitFailure(circuit);
+      } else {
+        // Rate limiting means Sweep&Go is up; do not count it as an outage
+        circuit.probing = false;
+      }
+      const wait =
+        res.status === 429 ? retryAfterMs(res) ?? backoffMs(attempt) : backoffMs(attempt);
+      const canRetry = res.status === 429 || idempotent;
+
+      if (canRetry && attempt < SNG_MAX_RETRIES && wait <= SNG_MAX_RETRY_WAIT_MS && !circuit.openedAt) {
+        await res.arrayBuffer().catch(() => {});
+        await sleep(wait);
+        continue;
+      }
+      if (res.status === 429) {
+        await res.arrayBuffer().catch(() => {});
+        const err = new SweepAndGoUnavailableError("rate limit reached", wait);
+        err.kind = "rate_limited";
+        err.status = 429;
+        throw err;
+      }
+      if (idempotent) {
+        await res.arrayBuffer().catch(() => {});
+        throw new SweepAndGoUnavailableError(`server error ${res.status}`);
+      }
+      return res;
+    }
+
+    circuitSuccess(circuit);
+    return res;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting
+// ---------------------------------------------------------------------------
+
+class RateLimitError extends ToolError {
+  constructor(message) {
+    super("rate_limited", message);
+    this.name = "RateLimitError";
+  }
+}
+
+// Token bucket plus a concurrency cap, with a FIFO queue. Callers wait up to
+// LIMIT_QUEUE_TIMEOUT_MS for both a token and a free slot.
+class Limiter {
+  constructor({ ratePerSecond, burst, maxConcurrency }) {
+    this.ratePerSecond = ratePerSecond > 0 ? ratePerSecond : Infinity;
+    this.burst = ratePerSecond > 0 ? Math.max(burst, 1) : Infinity;
+    this.maxConcurrency = maxConcurrency > 0 ? maxConcurrency : Infinity;
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond
+    );
+    this.updatedAt = now;
+  }
+
+  // Resolves to a release function; rejects with RateLimitError
+  acquire(label) {
+    return new Promise((resolve, reject) => {
+      if (this.queue.length >= LIMIT_MAX_QUEUE) {
+        reject(new RateLimitError(`${label}: too many requests are already waiting`));
+        return;
+      }
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter((w) => w !== waiter);
+        const reason =
+          this.active >= this.maxConcurrency
+            ? `${this.active} requests already in progress`
+            : "request rate limit reached";
+        reject(
+          new RateLimitError(
+            `${label}: ${reason}; waited ${LIMIT_QUEUE_TIMEOUT_MS / 1000}s for capacity. Slow down and try again shortly.`
+          )
+        );
+      }, LIMIT_QUEUE_TIMEOUT_MS);
+      this.queue.push(waiter);
+      this.pump();
+    });
+  }
+
+  pump() {
+    this.refill();
+    while (this.queue.length && this.active < this.maxConcurrency && this.tokens >= 1) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      this.tokens -= 1;
+      this.active += 1;
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        this.active -= 1;
+        this.pump();
+      });
+    }
+    // Out of tokens with work waiting: wake up when the next token is due
+    if (this.queue.length && this.active < this.maxConcurrency && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, waitMs);
+    }
+  }
+}
+
+const limiters = new Map();
+
+function rateLimitsFor(orgSlug, tenant) {
+  return (
+    tenant?.rateLimits ||
+    TENANTS.find((t) => t.orgSlug === orgSlug)?.rateLimits ||
+    RATE_LIMIT_DEFAULTS
+  );
+}
+
+// kind is "tool" (tools/call dispatch) or "upstream" (sngRequest)
+function acquireLimit(kind, orgSlug, tenant) {
+  const key = `${kind}:${tenant?.id || orgSlug || "default"}`;
+  let limiter = limiters.get(key);
+  if (!limiter) {
+    const limits = rateLimitsFor(orgSlug, tenant);
+    limiter =
+      kind === "tool"
+        ? new Limiter({
+            ratePerSecond: limits.tool_calls_per_minute / 60,
+            burst: limits.tool_burst,
+            maxConcurrency: limits.tool_max_concurrency,
+          })
+        : new Limiter({
+            ratePerSecond: limits.upstream_requests_per_second,
+            burst: limits.upstream_burst,
+            maxConcurrency: limits.upstream_max_concurrency,
+          });
+    limiters.set(key, limiter);
+  }
+  const who = tenant?.id || orgSlug || "this server";
+  return limiter.acquire(
+    kind === "tool"
+      ? `Tool call limit exceeded for ${who}`
+      : `Sweep&Go request limit exceeded for ${who}`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Response cache
+// ---------------------------------------------------------------------------
+
+// Cacheable read endpoints. A successful write to a path matching
+// `invalidatedBy` drops the group's entries for that org.
+const CACHE_RULES = [
+  {
+    group: "packages",
+    match: /^\/api\/v2\/packages_list$/,
+    ttlSeconds: 3600,
+    invalidatedBy: null,
+  },
+  {
+    group: "pricing",
+    match: /^\/api\/v2\/client_on_boarding\/price_registration_form$/,
+    ttlSeconds: 900,
+    invalidatedBy: /^\/api\/v1\/locations/,
+  },
+  {
+    group: "cross_sells",
+    match: /^\/api\/v1\/packaged_cross_sells$/,
+    ttlSeconds: 3600,
+    invalidatedBy: /^\/api\/v1\/locations/,
+  },
+  {
+    group: "locations",
+    match: /^\/api\/v1\/locations(\/[^/]+)?$/,
+    ttlSeconds: 600,
+    invalidatedBy: /^\/api\/v1\/locations/,
+  },
+  {
+    // check_service_area verdicts per ZIP; filled by the tool, not by a GET
+    group: "service_area",
+    match: null,
+    ttlSeconds: 86400,
+    invalidatedBy: /^\/api\/v1\/locations/,
+  },
+].map((rule) => ({
+  ...rule,
+  ttlSeconds: CACHE_TTL_OVERRIDES[rule.group] ?? rule.ttlSeconds,
+}));
+
+const CACHE_FILE = path.join(DATA_DIR, "cache.json");
+const responseCache = new Map();
+let cacheSaveTimer = null;
+
+function cacheRuleFor(pathname) {
+  if (!CACHE_ENABLED) return null;
+  return CACHE_RULES.find((r) => r.ttlSeconds > 0 && r.match?.test(pathname)) || null;
+}
+
+// Short digest of the API key a response was fetched with. Keys carry it so a
+// caller naming an org slug with some other key never reads that org's entries.
+function cacheCredentialTag(apiKey) {
+  return crypto.createHash("sha256").update(apiKey || "").digest("hex").slice(0, 16);
+}
+
+// Org + API key digest + path + query, with query params sorted so
+// equivalent requests share
+function cacheKeyFor(orgSlug, apiKey, url) {
+  const params = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b));
+  return `${orgSlug || ""}|${cacheCredentialTag(apiKey)}|${url.pathname}?${new URLSearchParams(params)}`;
+}
+
+function cacheGet(key) {
+  const entry = responseCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    responseCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function cacheSet(key, rule, orgSlug, value) {
+  responseCache.set(key, {
+    group: rule.group,
+    orgSlug: orgSlug || "",
+    value,
+    expiresAt: Date.now() + rule.ttlSeconds * 1000,
+  });
+  scheduleCacheSave();
+}
+
+function invalidateCache(orgSlug, pathname) {
+  const groups = CACHE_RULES.filter((r) => r.invalidatedBy?.test(pathname)).map(
+    (r) => r.group
+  );
+  if (!groups.length) return;
+  for (const [key, entry] of responseCache) {
+    if (entry.orgSlug === (orgSlug || "") && groups.includes(entry.group)) {
+      responseCache.delete(key);
+    }
+  }
+  scheduleCacheSave();
+}
+
+function scheduleCacheSave() {
+  if (!CACHE_PERSIST || cacheSaveTimer) return;
+  cacheSaveTimer = setTimeout(() => {
+    cacheSaveTimer = null;
+    const now = Date.now();
+    const live = [...responseCache].filter(([, e]) => e.expiresAt > now);
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.writeFileSync(CACHE_FILE, JSON.stringify(Object.fromEntries(live)));
+    } catch (err) {
+      console.error(`[SNG MCP] Could not write ${CACHE_FILE}: ${err.message}`);
+    }
+  }, 1000);
+  cacheSaveTimer.unref();
+}
+
+if (CACHE_PERSIST) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(saved)) {
+      if (entry.expiresAt > now) responseCache.set(key, entry);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`[SNG MCP] Could not read ${CACHE_FILE}: ${err.message}`);
+    }
+  }
+}
+
+// Tools that read cacheable endpoints accept cache_bypass to force a refetch
+function cacheBypassRequested(args) {
+  return args?.cache_bypass === true;
+}
+
+// Simple HTTP helper (uses global fetch - Node 18+)
+// Accept optional per-request `apiKey` and `orgSlug`. If not provided,
+// fall back to global env vars `SNG_API_KEY` and `ORG_SLUG`. With `dryRun`
+// the fully resolved request is returned instead of being sent. Cacheable
+// GETs are served from the response cache unless `cacheBypass` is set.
+async function sngRequest(
+  path,
+  {
+    method = "GET",
+    query,
+    body,
+    apiKey,
+    orgSlug,
+    dryRun = false,
+    cacheBypass = false,
+  } = {}
+) {
+  const url = new URL(path, CRM_BASE_URL);
+
+  if (query) {
+    for (const [k, v] of Object.entries(query)) {
+      if (v !== undefined && v !== null) {
+        url.searchParams.set(k, String(v));
+      }
+    }
+  }
+
+  // Determine effective credentials: prefer per-request values, else fall back
+  // to environment-level values.
+  const effectiveApiKey = apiKey || SNG_API_KEY || undefined;
+  const effectiveOrgSlug = orgSlug || ORG_SLUG || undefined;
+
+  // Automatically inject organization identifier if available and not already provided
+  if (effectiveOrgSlug) {
+    if (!url.searchParams.has("organization_slug")) {
+      url.searchParams.set("organization_slug", effectiveOrgSlug);
+    }
+    // Some endpoints expect `organization` instead of `organization_slug`
+    if (!url.searchParams.has("organization")) {
+      url.searchParams.set("organization", effectiveOrgSlug);
+    }
+  }
+
+  const headers = {
+    Accept: "application/json",
+  };
+
+  if (body) {
+    headers["Content-Type"] = "application/json";
+  }
+
+  // 🔑 Use the effective API key if available
+  if (effectiveApiKey) {
+    headers["Authorization"] = `Bearer ${effectiveApiKey}`;
+  }
+
+  if (dryRun) {
+    return {
+      dry_run: true,
+      method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body: body ?? null,
+    };
+  }
+
+  const cacheRule = method === "GET" ? cacheRuleFor(url.pathname) : null;
+  const cacheKey = cacheRule ? cacheKeyFor(effectiveOrgSlug, effectiveApiKey, url) : null;
+  if (cacheRule && !cacheBypass) {
+    const cached = cacheGet(cacheKey);
+    if (cached !== undefined) {
+      recordUpstreamStatus("cache");
+      return cached;
+    }
+  }
+
+  const data = await sendUpstream(
+    url,
+    { method, headers, body: body ? JSON.stringify(body) : undefined },
+    effectiveOrgSlug
+  );
+
+  if (cacheRule) {
+    cacheSet(cacheKey, cacheRule, effectiveOrgSlug, data);
+  } else if (method !== "GET") {
+    invalidateCache(effectiveOrgSlug, url.pathname);
+  }
+  return data;
+}
+
+// Rate-limited fetch + response parsing for sngRequest. The limiter slot is
+// held until the body has been read.
+async function sendUpstream(url, init, orgSlug) {
+  const release = await acquireLimit("upstream", orgSlug);
+  try {
+    const res = await fetchUpstream(url, init, orgSlug);
+
+    if (!res.ok) {
+      throw new SweepAndGoError(res.status, await res.text());
+    }
+
+    const contentType = res.headers.get("content-type") || "";
+    if (!contentType.toLowerCase().includes("application/json")) {
+      return res.text();
+    }
+
+    const text = await res.text();
+    if (!text) return {};
+    return JSON.parse(text);
+  } finally {
+    release();
+  }
+}
+
+// Basic HTTP helpers
+// With `maxBytes`, stops reading once the body grows past it and rejects with
+// an error whose `status` is 413, whatever Content-Length claimed.
+async function readRequestBody(req, { maxBytes } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      const buf = typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+      size += buf.length;
+      if (maxBytes && size > maxBytes) {
+        req.removeAllListeners("data");
+        req.pause();
+        const err = new Error("Request body too large");
+        err.status = 413;
+        reject(err);
+        return;
+      }
+      chunks.push(buf);
+    });
+    req.on("end", () => {
+      resolve(Buffer.concat(chunks).toString("utf8"));
+    });
+    req.on("error", reject);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Auth
+// ---------------------------------------------------------------------------
+
+// GHL's proxy drops Authorization, so the shared token is also accepted in a
+// custom header, and links can carry a signed, expiring query token instead.
+const MCP_AUTH_HEADER = (process.env.MCP_AUTH_HEADER || "x-mcp-token").toLowerCase();
+const MCP_SIGNING_SECRET = process.env.MCP_SIGNING_SECRET || "";
+const MCP_SIGNED_TOKEN_PARAM = "mcp_sig";
+const MCP_IP_ALLOWLIST = String(process.env.MCP_IP_ALLOWLIST || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const MCP_TRUST_PROXY = String(process.env.MCP_TRUST_PROXY || "false") === "true";
+
+// Query params that carry credentials; SSE sessions opened with them get them
+// echoed into the POST endpoint so follow-up messages authenticate too.
+const AUTH_QUERY_PARAMS = [MCP_SIGNED_TOKEN_PARAM, "access_token", "sng_api_key", "sng_org_slug"];
+
+function safeEqual(a, b) {
+  if (!a || !b) return false;
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function bearerToken(req) {
+  const auth = String(req.headers["authorization"] || "");
+  return auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : "";
+}
+
+function signToken(exp) {
+  return crypto
+    .createHmac("sha256", MCP_SIGNING_SECRET)
+    .update(String(exp))
+    .digest("base64url");
+}
+
+// Signed query token: `<unix expiry seconds>.<base64url HMAC-SHA256(expiry)>`
+function createSignedToken(ttlSeconds = 3600) {
+  const exp = Math.floor(Date.now() / 1000) + Number(ttlSeconds);
+  return `${exp}.${signToken(exp)}`;
+}
+
+function verifySignedToken(token) {
+  if (!token || !MCP_SIGNING_SECRET) return false;
+  const [exp, sig] = String(token).split(".");
+  if (!/^\d+$/.test(exp || "") || Number(exp) * 1000 < Date.now()) return false;
+  return safeEqual(sig, signToken(exp));
+}
+
+function clientIp(req) {
+  const forwarded = MCP_TRUST_PROXY
+    ? String(req.headers["x-forwarded-for"] || "").split(",")[0].trim()
+    : "";
+  const ip = forwarded || req.socket?.remoteAddress || "";
+  return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) {
+    return null;
+  }
+  return parts.reduce((acc, n) => (acc << 8) + n, 0) >>> 0;
+}
+
+// Allowlist entries are exact addresses or IPv4 CIDR ranges (10.0.0.0/8)
+function ipAllowed(ip) {
+  return MCP_IP_ALLOWLIST.some((entry) => {
+    if (!entry.includes("/")) return entry === ip;
+    const [range, bits] = entry.split("/");
+    const base = ipv4ToInt(range);
+    const addr = ipv4ToInt(ip);
+    if (base === null || addr === null) return false;
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return (base & mask) === (addr & mask);
+  });
+}
+
+// Pluggable credential checks; a request passes when any enabled check does.
+// The IP allowlist is a separate gate applied on top of these.
+const CREDENTIAL_CHECKS = [
+  {
+    name: "bearer",
+    enabled: Boolean(MCP_TOKEN),
+    check: (req) => safeEqual(bearerToken(req), MCP_TOKEN),
+  },
+  {
+    name: "header",
+    enabled: Boolean(MCP_TOKEN),
+    check: (req) => safeEqual(req.headers[MCP_AUTH_HEADER], MCP_TOKEN),
+  },
+  {
+    name: "signed-query",
+    enabled: Boolean(MCP_SIGNING_SECRET),
+    check: (req, parsedUrl) =>
+      verifySignedToken(parsedUrl?.searchParams.get(MCP_SIGNED_TOKEN_PARAM)),
+  },
+  {
+    name: "tenant-token",
+    enabled: TENANTS.length > 0,
+    check: (req, parsedUrl) =>
+      Boolean(findTenantByToken(mcpTokenFromRequest(req, parsedUrl))),
+  },
+].filter((c) => c.enabled);
+
+if (!CREDENTIAL_CHECKS.length && !MCP_IP_ALLOWLIST.length) {
+  console.warn(
+    "[SNG MCP] WARNING: no MCP auth configured (SNG_MCP_TOKEN, MCP_SIGNING_SECRET, SNG_TENANTS_FILE or MCP_IP_ALLOWLIST). Anyone with the URL can call tools."
+  );
+}
+
+// Returns a reason string when the request must be rejected, else false
+function authFailed(req, parsedUrl) {
+  if (MCP_IP_ALLOWLIST.length) {
+    const ip = clientIp(req);
+    if (!ipAllowed(ip)) return `Client address ${ip || "unknown"} is not allowed`;
+  }
+  if (!CREDENTIAL_CHECKS.length) return false;
+  const ok = CREDENTIAL_CHECKS.some((c) => c.check(req, parsedUrl));
+  return ok ? false : "Unauthorized: missing or invalid token";
+}
+
+function sendUnauthorized(res, message) {
+  res.writeHead(401, {
+    "Content-Type": "application/json",
+    "WWW-Authenticate": 'Bearer realm="titan-sweepandgo"',
+  });
+  res.end(JSON.stringify(jsonRpcError(null, -32001, message)));
+}
+
+// `node server.mjs --sign-token [ttlSeconds]` prints a signed query token
+if (process.argv.includes("--sign-token")) {
+  if (!MCP_SIGNING_SECRET) {
+    console.error("MCP_SIGNING_SECRET must be set to sign tokens");
+    process.exit(1);
+  }
+  const ttl = Number(process.argv[process.argv.indexOf("--sign-token") + 1]) || 3600;
+  process.stdout.write(`${MCP_SIGNED_TOKEN_PARAM}=${createSignedToken(ttl)}\n`);
+  process.exit(0);
+}
+
+function setCors(req, res) {
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Accept, Authorization, X-Requested-With, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID"
+  );
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+
+// Append-only JSONL record of every tools/call: who (org, tenant, session),
+// what (tool, redacted args), and what happened (upstream statuses, outcome).
+const AUDIT_FILE = process.env.SNG_AUDIT_FILE || path.join(DATA_DIR, "audit.jsonl");
+const REDACTED_ARG_KEYS = /token|secret|password|api_?key|card|cvv|cvc|account_number|routing/i;
+
+// Per-call state so sngRequest and the shared helpers can report into the
+// entry for the tool call they are running under
+const auditContext = new AsyncLocalStorage();
+
+let auditStream = null;
+function appendAuditEntry(entry) {
+  try {
+    if (!auditStream) {
+      fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+      auditStream = fs.createWriteStream(AUDIT_FILE, { flags: "a" });
+      auditStream.on("error", (err) => {
+        console.error(`[SNG MCP] audit log write failed: ${err.message}`);
+        auditStream = null;
+      });
+    }
+    auditStream.write(JSON.stringify(entry) + "\n");
+  } catch (err) {
+    console.error(`[SNG MCP] audit log write failed: ${err.message}`);
+  }
+}
+
+function redactArgs(value) {
+  if (Array.isArray(value)) return value.map(redactArgs);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        REDACTED_ARG_KEYS.test(k) ? "[redacted]" : redactArgs(v),
+      ])
+    );
+  }
+  return value;
+}
+
+function recordUpstreamStatus(status) {
+  auditContext.getStore()?.upstream.push(status);
+}
+
+// Marks a call that finished without doing the real thing (dry run,
+// confirmation prompt, idempotent replay) so the log does not read as success
+function noteAuditOutcome(outcome) {
+  const store = auditContext.getStore();
+  if (store) store.outcome = outcome;
+}
+
+function auditCustomerId(toolName, args) {
+  if (args?.customer_id) return String(args.customer_id);
+  if (/_customer$/.test(toolName) && args?.id) return String(args.id);
+  return null;
+}
+
+function auditChargeId(toolName, args) {
+  if (/_charge$/.test(toolName) && args?.id) return String(args.id);
+  return null;
+}
+
+// Run a tool call under an audit entry that is written once it settles
+async function withAudit(toolName, args, ctx, run) {
+  const store = { upstream: [], outcome: null };
+  const started = Date.now();
+  const entry = {
+    timestamp: new Date(started).toISOString(),
+    org_slug: ctx?.sngOrgSlug || ORG_SLUG || null,
+    tenant: ctx?.tenant?.id || null,
+    session_id: ctx?.sessionId || null,
+    tool: toolName,
+    customer_id: auditCustomerId(toolName, args),
+    charge_id: auditChargeId(toolName, args),
+    args: redactArgs(args || {}),
+  };
+
+  try {
+    const result = await auditContext.run(store, run);
+    appendAuditEntry({
+      ...entry,
+      upstream_status: store.upstream,
+      outcome: store.outcome || "success",
+      duration_ms: Date.now() - started,
+    });
+    return result;
+  } catch (err) {
+    appendAuditEntry({
+      ...entry,
+      upstream_status: store.upstream,
+      outcome: "error",
+      error_kind: err?.kind || null,
+      error: String(err?.message || err).slice(0, 500),
+      duration_ms: Date.now() - started,
+    });
+    throw err;
+  }
+}
+
+// Matching entries, oldest first, keeping only the newest `limit`
+async function readAuditLog({ from, to, tool, customerId, chargeId, orgSlug, limit } = {}) {
+  const fromMs = from ? Date.parse(from) : null;
+  const toMs = to ? Date.parse(to) : null;
+  const matches = [];
+
+  let input;
+  try {
+    input = fs.createReadStream(AUDIT_FILE, { encoding: "utf8" });
+    await new Promise((resolve, reject) => {
+      input.once("open", resolve);
+      input.once("error", reject);
+    });
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const ts = Date.parse(entry.timestamp);
+    if (fromMs !== null && ts < fromMs) continue;
+    if (toMs !== null && ts > toMs) continue;
+    if (tool && entry.tool !== tool) continue;
+    if (customerId && entry.customer_id !== String(customerId)) continue;
+    if (chargeId && entry.charge_id !== String(chargeId)) continue;
+    if (orgSlug && entry.org_slug !== orgSlug) continue;
+    matches.push(entry);
+    if (limit && matches.length > limit) matches.shift();
+  }
+  return matches;
+}
+
+// `node server.mjs --export-audit [--from ISO] [--to ISO] [--tool name]
+//  [--customer-id id] [--charge-id id] [--org slug]` writes matching entries as JSONL to stdout
+if (process.argv.includes("--export-audit")) {
+  const flag = (name) => {
+    const i = process.argv.indexOf(name);
+    return i > -1 ? process.argv[i + 1] : undefined;
+  };
+  const entries = await readAuditLog({
+    from: flag("--from"),
+    to: flag("--to"),
+    tool: flag("--tool"),
+    customerId: flag("--customer-id"),
+    chargeId: flag("--charge-id"),
+    orgSlug: flag("--org"),
+  });
+  for (const entry of entries) process.stdout.write(JSON.stringify(entry) + "\n");
+  process.exit(0);
+}
+
+// ---------------------------------------------------------------------------
+// Webhook events
+// ---------------------------------------------------------------------------
+
+// Sweep&Go posts events (new clients, payments, cancellations) to
+// /webhooks/sweepandgo. The secret that verifies a delivery also tells us
+// which org it belongs to. Events are deduplicated by org + event id and
+// persisted, so redeliveries and restarts do not repeat or lose them.
+const WEBHOOK_EVENTS_FILE = path.join(DATA_DIR, "webhook_events.json");
+const WEBHOOK_MAX_BODY_BYTES = 1024 * 1024;
+const webhookEvents = new Map();
+
+const WEBHOOK_SOURCES = [
+  ...TENANTS.filter((t) => t.webhookSecret).map((t) => ({
+    secret: t.webhookSecret,
+    orgSlug: t.orgSlug,
+    tenant: t.id,
+  })),
+  ...(WEBHOOK_SECRET ? [{ secret: WEBHOOK_SECRET, orgSlug: ORG_SLUG, tenant: null }] : []),
+];
+
+function loadWebhookEvents() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(WEBHOOK_EVENTS_FILE, "utf8"));
+    for (const event of saved) webhookEvents.set(`${event.org_slug}:${event.id}`, event);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`[SNG MCP] Could not read ${WEBHOOK_EVENTS_FILE}: ${err.message}`);
+    }
+  }
+}
+
+function saveWebhookEvents() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(WEBHOOK_EVENTS_FILE, JSON.stringify([...webhookEvents.values()]));
+  } catch (err) {
+    console.error(`[SNG MCP] Could not write ${WEBHOOK_EVENTS_FILE}: ${err.message}`);
+  }
 }
 
-// Simple HTTP helper (uses global fetch - Node 18+)
-// Accept optional per-request `apiKey` and `orgSlug`. If not provided,
-// fall back to global env vars `SNG_API_KEY` and `ORG_SLUG`.
-async function sngRequest(
-  path,
-  { method = "GET", query, body, apiKey, orgSlug } = {}
-) {
-  const url = new URL(path, CRM_BASE_URL);
+loadWebhookEvents();
 
-  if (query) {
-    for (const [k, v] of Object.entries(query)) {
-      if (v !== undefined && v !== null) {
-        url.searchParams.set(k, String(v));
+// A signature is HMAC-SHA256 of the raw body (hex or base64, optionally
+// "sha256=" prefixed); senders that cannot sign may pass the secret itself in
+// x-webhook-secret or ?secret=. Returns the matching source or null.
+function verifyWebhook(req, parsedUrl, raw) {
+  const signature = String(
+    req.headers["x-sng-signature"] || req.headers["x-webhook-signature"] || req.headers["x-signature"] || ""
+  )
+    .trim()
+    .replace(/^sha256=/i, "");
+  const shared = req.headers["x-webhook-secret"] || parsedUrl.searchParams.get("secret");
+
+  return (
+    WEBHOOK_SOURCES.find(({ secret }) => {
+      if (signature) {
+        const mac = crypto.createHmac("sha256", secret).update(raw).digest();
+        return (
+          safeEqual(signature.toLowerCase(), mac.toString("hex")) ||
+          safeEqual(signature, mac.toString("base64"))
+        );
       }
-    }
+      return safeEqual(shared, secret);
+    }) || null
+  );
+}
+
+function webhookRecordId(value) {
+  return value !== undefined && value !== null && value !== "" ? String(value) : null;
+}
+
+// Sweep&Go payloads are not uniform across event types; pull out what we
+// index on and keep the rest as-is
+function normalizeWebhookEvent(payload, raw, req, source) {
+  const data = payload.data ?? payload.payload ?? payload;
+  const id =
+    webhookRecordId(payload.event_id ?? payload.id ?? payload.uuid ?? req.headers["x-sng-event-id"]) ||
+    crypto.createHash("sha256").update(raw).digest("hex").slice(0, 32);
+  return {
+    id,
+    type: String(payload.event ?? payload.type ?? payload.event_type ?? "unknown"),
+    org_slug: source.orgSlug || null,
+    tenant: source.tenant,
+    received_at: new Date().toISOString(),
+    customer_id: webhookRecordId(
+      data?.client_id ?? data?.customer_id ?? data?.client?.id ?? data?.customer?.id
+    ),
+    location_id: webhookRecordId(data?.location_id ?? data?.location?.id),
+    data,
+  };
+}
+
+// Store a new event, dropping the org's oldest beyond WEBHOOK_EVENT_LIMIT.
+// Returns false for a redelivery of an event we already have.
+function recordWebhookEvent(event) {
+  const key = `${event.org_slug}:${event.id}`;
+  if (webhookEvents.has(key)) return false;
+  webhookEvents.set(key, event);
+  const sameOrg = [...webhookEvents].filter(([, e]) => e.org_slug === event.org_slug);
+  for (const [oldKey] of sameOrg.slice(0, Math.max(0, sameOrg.length - WEBHOOK_EVENT_LIMIT))) {
+    webhookEvents.delete(oldKey);
   }
+  saveWebhookEvents();
+  return true;
+}
 
-  // Determine effective credentials: prefer per-request values, else fall back
-  // to environment-level values.
-  const effectiveApiKey = apiKey || SNG_API_KEY || undefined;
-  const effectiveOrgSlug = orgSlug || ORG_SLUG || undefined;
+// Newest first
+function webhookEventsFor(orgSlug) {
+  return [...webhookEvents.values()]
+    .filter((e) => e.org_slug === (orgSlug || null))
+    .reverse();
+}
 
-  // Automatically inject organization identifier if available and not already provided
-  if (effectiveOrgSlug) {
-    if (!url.searchParams.has("organization_slug")) {
-      url.searchParams.set("organization_slug", effectiveOrgSlug);
-    }
-    // Some endpoints expect `organization` instead of `organization_slug`
-    if (!url.searchParams.has("organization")) {
-      url.searchParams.set("organization", effectiveOrgSlug);
+// Org whose locally stored data (webhook events, the audit log) the caller may
+// read. A tenant entry or the env default vouches for the org; raw credentials
+// are never checked against the slug they name, so they get none of it.
+function localDataOrg(ctx) {
+  if (ctx?.tenant) return ctx.tenant.orgSlug || null;
+  if (ctx?.sngApiKey) {
+    throw new ToolError(
+      "forbidden",
+      "Webhook events and the audit log are only available to callers with an MCP access token."
+    );
+  }
+  return ORG_SLUG || null;
+}
+
+// Resource subscriptions per connected MCP server: { orgSlug, uris }
+const resourceSubscriptions = new Map();
+
+function webhookEventUris(event) {
+  return [
+    "sng://events",
+    `sng://events/${event.id}`,
+    ...(event.customer_id ? [`sng://customers/${event.customer_id}`] : []),
+    ...(event.location_id ? [`sng://locations/${event.location_id}`] : []),
+  ];
+}
+
+function notifyResourceSubscribers(event) {
+  const uris = webhookEventUris(event);
+  for (const [server, sub] of resourceSubscriptions) {
+    if (sub.orgSlug !== event.org_slug) continue;
+    for (const uri of uris.filter((u) => sub.uris.has(u))) {
+      server.sendResourceUpdated({ uri }).catch((err) => {
+        console.warn(`[SNG MCP] resource update for ${uri} not delivered: ${err.message}`);
+      });
     }
   }
+}
 
-  const headers = {
-    Accept: "application/json",
+async function handleSweepAndGoWebhook(req, res, parsedUrl) {
+  const sendJson = (status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
   };
 
-  if (body) {
-    headers["Content-Type"] = "application/json";
+  if (!WEBHOOK_SOURCES.length) {
+    sendJson(404, { error: "Webhook receiver is not configured (set SNG_WEBHOOK_SECRET)" });
+    return;
   }
-
-  // 🔑 Use the effective API key if available
-  if (effectiveApiKey) {
-    headers["Authorization"] = `Bearer ${effectiveApiKey}`;
+  if (Number(req.headers["content-length"] || 0) > WEBHOOK_MAX_BODY_BYTES) {
+    sendJson(413, { error: "Payload too large" });
+    return;
   }
 
-  const res = await fetch(url, {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : undefined,
-  });
+  let raw;
+  try {
+    raw = await readRequestBody(req, { maxBytes: WEBHOOK_MAX_BODY_BYTES });
+  } catch (err) {
+    if (err.status !== 413) throw err;
+    res.setHeader("Connection", "close");
+    sendJson(413, { error: "Payload too large" });
+    return;
+  }
+  const source = verifyWebhook(req, parsedUrl, raw);
+  if (!source) {
+    sendJson(401, { error: "Invalid webhook signature or secret" });
+    return;
+  }
 
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Sweep&Go error ${res.status}: ${text}`);
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    payload = null;
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    sendJson(400, { error: "Expected a JSON object" });
+    return;
   }
 
-  const contentType = res.headers.get("content-type") || "";
-  if (!contentType.toLowerCase().includes("application/json")) {
-    return res.text();
+  const event = normalizeWebhookEvent(payload, raw, req, source);
+  const isNew = recordWebhookEvent(event);
+  if (isNew) {
+    console.log(`[SNG MCP] webhook event ${event.type} ${event.id} for ${event.org_slug}`);
+    notifyResourceSubscribers(event);
   }
+  sendJson(200, { received: true, id: event.id, duplicate: !isNew });
+}
+
+// ---------------------------------------------------------------------------
+// Pagination
+// ---------------------------------------------------------------------------
 
-  const text = await res.text();
-  if (!text) return {};
-  return JSON.parse(text);
+// List tools share one contract: pass `next_cursor` back as `cursor` for the
+// following page, or `all: true` to collect every page up to
+// PAGINATE_MAX_RECORDS. Cursors are opaque to callers; inside they are just
+// the next page number and page size.
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
 }
 
-// Basic HTTP helpers
-async function readRequestBody(req) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    req.on("data", (chunk) => {
-      chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
-    });
-    req.on("end", () => {
-      resolve(Buffer.concat(chunks).toString("utf8"));
-    });
-    req.on("error", reject);
+function decodeCursor(cursor) {
+  try {
+    const { page, per } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(page) && page > 0 && (per === undefined || Number.isInteger(per))) {
+      return { page, per };
+    }
+  } catch {
+    // fall through to the validation error
+  }
+  throw new ToolError("validation", "Invalid cursor", {
+    fields: { cursor: ["Pass next_cursor from a previous result unchanged."] },
   });
 }
 
-function authFailed(req) {
-  // Auth disabled for GHL compatibility (proxy drops Authorization). If you need auth, re-enable here.
-  return false;
+// Records of one Sweep&Go list response: a bare array, { data: [...] }, or
+// the first array-valued key (e.g. { free_quotes: [...] })
+function pageItems(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.data)) return data.data;
+  if (data && typeof data === "object") {
+    return Object.values(data).find(Array.isArray) || [];
+  }
+  return [];
 }
 
-function setCors(req, res) {
-  const origin = req.headers.origin || "*";
-  res.setHeader("Access-Control-Allow-Origin", origin);
-  res.setHeader(
-    "Access-Control-Allow-Headers",
-    "Content-Type, Accept, Authorization, X-Requested-With"
-  );
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Credentials", "true");
+// Paging metadata, wherever Sweep&Go put it (paginate / pagination / meta /
+// top level). Missing values are null.
+function pageMeta(data) {
+  const meta =
+    data?.paginate || data?.pagination || data?.meta || (Array.isArray(data) ? {} : data) || {};
+  const num = (value) =>
+    value === undefined || value === null || value === "" ? null : Number(value);
+  return {
+    total: num(meta.total ?? meta.total_count ?? meta.total_entries),
+    lastPage: num(meta.total_pages ?? meta.last_page ?? meta.pages),
+    hasNext:
+      meta.next_page_url !== undefined || meta.next_page !== undefined
+        ? Boolean(meta.next_page_url || meta.next_page)
+        : null,
+  };
+}
+
+function hasMorePages(meta, page, per, count) {
+  if (meta.lastPage !== null) return page < meta.lastPage;
+  if (meta.hasNext !== null) return meta.hasNext;
+  if (meta.total !== null && per) return page * per < meta.total;
+  return Boolean(per) && count >= per;
+}
+
+// Fetch one page (or every page with `all`) through `fetchPage(query)`, where
+// query is the caller's filters plus page/per. Resolves to
+// { data, count, total, next_cursor, truncated }.
+async function paginate(input, fetchPage) {
+  const { cursor, page, per, all, ...filters } = input;
+  let position = cursor ? decodeCursor(cursor) : { page: page || 1, per };
+  const startPage = position.page;
+  const records = [];
+  let total = null;
+  let more;
+
+  do {
+    const data = await fetchPage({ ...filters, page: position.page, per: position.per });
+    const items = pageItems(data);
+    const meta = pageMeta(data);
+    total ??= meta.total;
+    records.push(...items);
+    more = items.length > 0 && hasMorePages(meta, position.page, position.per, items.length);
+    position = { page: position.page + 1, per: position.per };
+  } while (all && more && records.length < PAGINATE_MAX_RECORDS);
+
+  // Without metadata the total is only known after reading every page
+  if (total === null && !more && startPage === 1) total = records.length;
+
+  // A page trimmed mid-way leaves no exact place to resume from
+  const trimmed = records.length > PAGINATE_MAX_RECORDS;
+  if (trimmed) records.length = PAGINATE_MAX_RECORDS;
+
+  return {
+    data: records,
+    count: records.length,
+    total,
+    next_cursor: more && !trimmed ? encodeCursor(position) : null,
+    truncated: Boolean(all) && (more || trimmed),
+  };
 }
 
 // ---------------------------------------------------------------------------
 // Tool schemas
 // ---------------------------------------------------------------------------
 
+const LastCleanedSchema = z.enum([
+  "one_week",
+  "two_weeks",
+  "three_weeks",
+  "one_month",
+  "two_months",
+  "3-4_months",
+  "5-6_months",
+  "7-9_months",
+  "10+_months",
+]);
+
+const CleanUpFrequencySchema = z.enum([
+  "seven_times_a_week",
+  "six_times_a_week",
+  "five_times_a_week",
+  "four_times_a_week",
+  "three_times_a_week",
+  "two_times_a_week",
+  "once_a_week",
+  "every_other_week",
+  "once_every_four_weeks",
+  "once_a_month",
+]);
+
 const ZipDogsSchema = z.object({
   zip_code: z.string().describe("5-digit ZIP code, e.g. 85706"),
   number_of_dogs: z
@@ -138,48 +1628,291 @@ const ZipDogsSchema = z.object({
     .int()
     .min(1)
     .describe("Number of dogs in the household"),
-  last_time_yard_was_thoroughly_cleaned: z
-    .enum([
-      "one_week",
-      "two_weeks",
-      "three_weeks",
-      "one_month",
-      "two_months",
-      "3-4_months",
-      "5-6_months",
-      "7-9_months",
-      "10+_months",
-    ])
-    .describe("How long since the yard was last thoroughly cleaned"),
+  last_time_yard_was_thoroughly_cleaned: LastCleanedSchema.describe(
+    "How long since the yard was last thoroughly cleaned"
+  ),
 });
 
 const OnboardingPriceInputSchema = ZipDogsSchema.extend({
-  clean_up_frequency: z
-    .enum([
-      "seven_times_a_week",
-      "six_times_a_week",
-      "five_times_a_week",
-      "four_times_a_week",
-      "three_times_a_week",
-      "two_times_a_week",
-      "once_a_week",
-      "every_other_week",
-      "once_every_four_weeks",
-      "once_a_month",
-    ])
+  clean_up_frequency: CleanUpFrequencySchema.optional().describe(
+    "Desired service frequency, if known"
+  ),
+});
+
+const CreateClientInputSchema = ZipDogsSchema.extend({
+  clean_up_frequency: CleanUpFrequencySchema.describe("Service frequency"),
+  initial_cleanup_required: z.boolean(),
+  first_name: z.string(),
+  last_name: z.string(),
+  email: z.string().email(),
+  home_address: z.string(),
+  city: z.string(),
+  state: z.string(),
+  home_phone_number: z.string().optional(),
+  cell_phone_number: z.string().optional(),
+  additional_comment: z.string().optional(),
+});
+
+// Guided onboarding accepts the create_client fields a few at a time
+const OnboardingFieldsSchema = CreateClientInputSchema.partial();
+
+const OnboardingIdSchema = z.object({
+  onboarding_id: z
+    .string()
     .optional()
-    .describe("Desired service frequency, if known"),
+    .describe(
+      "Id returned by start_onboarding. Optional inside an MCP session, which remembers its current onboarding."
+    ),
 });
 
+const OnboardingUpdateSchema = OnboardingFieldsSchema.merge(OnboardingIdSchema).refine(
+  ({ onboarding_id, ...fields }) => Object.keys(fields).length > 0,
+  { message: "Provide at least one field to update." }
+);
+
 // Shared helpers / schemas
-function writesDisabledResponse() {
+
+// Dry-run is on when the caller asks for it, or the tenant / server forces it
+function dryRunRequested(args, ctx) {
+  return args?.dry_run === true || (ctx?.tenant ? ctx.tenant.dryRun : DRY_RUN);
+}
+
+function dryRunResponse(data) {
+  noteAuditOutcome("dry_run");
+  return {
+    type: "text",
+    text:
+      "Dry run: nothing was sent to Sweep&Go. This is the request that would have been made:\n" +
+      JSON.stringify(data),
+    structuredContent: data,
+  };
+}
+
+// Two-step confirmation for money movement and deletions. The first call gets
+// a summary plus a single-use token; the action only runs when the same tool is
+// called again with that token and identical arguments, from the same session
+// (or tenant/org for stateless JSON-RPC callers), before the token expires.
+const pendingConfirmations = new Map();
+
+function confirmationScope(ctx) {
+  if (ctx?.sessionId) return `session:${ctx.sessionId}`;
+  if (ctx?.tenant) return `tenant:${ctx.tenant.id}`;
+  return `org:${ctx?.sngOrgSlug || ORG_SLUG}`;
+}
+
+// Key-order independent JSON so {a,b} and {b,a} confirm the same request
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Returns a tool response asking for confirmation, or null when `args` carry a
+// valid token for exactly this request (the token is consumed). A token that
+// does not match throws a "confirmation" ToolError.
+function confirmationGate(toolName, input, args, ctx, summary) {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) pendingConfirmations.delete(token);
+  }
+
+  const scope = confirmationScope(ctx);
+  const fingerprint = stableStringify(input);
+  const token = args?.confirmation_token;
+
+  if (token) {
+    const pending = pendingConfirmations.get(String(token));
+    pendingConfirmations.delete(String(token));
+    if (
+      pending &&
+      pending.toolName === toolName &&
+      pending.scope === scope &&
+      pending.fingerprint === fingerprint
+    ) {
+      return null;
+    }
+    throw new ToolError(
+      "confirmation",
+      `The confirmation token is invalid, expired, already used, or was issued for different arguments. Nothing was done. Call ${toolName} again without confirmation_token to get a new one.`
+    );
+  }
+
+  noteAuditOutcome("confirmation_required");
+  const newToken = crypto.randomBytes(4).toString("hex").toUpperCase();
+  pendingConfirmations.set(newToken, {
+    toolName,
+    scope,
+    fingerprint,
+    expiresAt: now + CONFIRMATION_TTL_SECONDS * 1000,
+  });
+
   return {
     type: "text",
+    text: [
+      `Confirmation required: ${summary}`,
+      "",
+      "Nothing has been done yet. Confirm this with the caller, then call " +
+        `${toolName} again with the same arguments plus confirmation_token: "${newToken}". ` +
+        `The token expires in ${Math.round(CONFIRMATION_TTL_SECONDS / 60) || 1} minute(s) and can be used once.`,
+    ].join("\n"),
+  };
+}
+
+// Idempotency for tools that create money movements or records. Agents retry
+// when a turn times out, so a repeated call with the same idempotency_key (or,
+// without one, the same arguments inside IDEMPOTENCY_WINDOW_SECONDS) gets the
+// stored result back instead of hitting Sweep&Go again. Results are persisted
+// so a restart between the attempt and the retry does not double-charge.
+const IDEMPOTENCY_FILE = path.join(DATA_DIR, "idempotency.json");
+const idempotencyStore = new Map();
+const idempotencyInFlight = new Map();
+
+function loadIdempotencyStore() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(IDEMPOTENCY_FILE, "utf8"));
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(saved)) {
+      if (entry.expiresAt > now) idempotencyStore.set(key, entry);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`[SNG MCP] Could not read ${IDEMPOTENCY_FILE}: ${err.message}`);
+    }
+  }
+}
+
+function saveIdempotencyStore() {
+  const now = Date.now();
+  for (const [key, entry] of idempotencyStore) {
+    if (entry.expiresAt <= now) idempotencyStore.delete(key);
+  }
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(
+      IDEMPOTENCY_FILE,
+      JSON.stringify(Object.fromEntries(idempotencyStore))
+    );
+  } catch (err) {
+    console.error(`[SNG MCP] Could not write ${IDEMPOTENCY_FILE}: ${err.message}`);
+  }
+}
+
+loadIdempotencyStore();
+
+// `fingerprint` records the arguments a key was used with, so an explicit key
+// reused for a different request is refused instead of replaying the old one
+function idempotencyKeyFor(toolName, input, args, ctx) {
+  const org = ctx?.sngOrgSlug || ORG_SLUG;
+  const fingerprint = stableStringify(input);
+  if (args?.idempotency_key) {
+    return {
+      tool: toolName,
+      key: `${toolName}:${org}:key:${args.idempotency_key}`,
+      label: String(args.idempotency_key),
+      fingerprint,
+      ttlMs: IDEMPOTENCY_TTL_SECONDS * 1000,
+    };
+  }
+  const digest = crypto
+    .createHash("sha256")
+    .update(fingerprint)
+    .digest("hex")
+    .slice(0, 32);
+  return {
+    tool: toolName,
+    key: `${toolName}:${org}:args:${digest}`,
+    label: `auto-${digest.slice(0, 12)}`,
+    fingerprint,
+    ttlMs: IDEMPOTENCY_WINDOW_SECONDS * 1000,
+  };
+}
+
+function assertSameRequest(idem, fingerprint) {
+  if (fingerprint === idem.fingerprint) return;
+  throw new ToolError(
+    "validation",
+    `Idempotency key ${idem.label} was already used with different arguments. Nothing was done; use a new key for a new request.`
+  );
+}
+
+function replayResponse(idem, result) {
+  noteAuditOutcome("replayed");
+  return {
+    ...result,
     text:
-      "Writes are disabled for this MCP server. Set SNG_ALLOW_WRITES=true in .env if you really want Parker to perform write operations.",
+      `Replayed the earlier result for idempotency key ${idem.label}; Sweep&Go was not called again.\n\n` +
+      result.text,
   };
 }
 
+// Where to look when a write's outcome is unknown
+const IDEMPOTENCY_CHECK_TOOLS = {
+  create_charge: "list_charges",
+  create_pre_authorization: "list_pre_authorizations",
+  create_client: "search_customers",
+};
+
+function outcomeUnknownError(idem) {
+  const check = IDEMPOTENCY_CHECK_TOOLS[idem.tool];
+  return new ToolError(
+    "upstream_error",
+    `Sweep&Go did not answer the ${idem.tool} request with idempotency key ${idem.label}, so it may or may not have gone through. ` +
+      `Nothing was sent again. ${check ? `Check ${check} first; ` : ""}only if it did not go through, retry with a new idempotency_key.`
+  );
+}
+
+// Stored result for this key, if any (does not wait for in-flight calls)
+function idempotentReplay(idem) {
+  const entry = idempotencyStore.get(idem.key);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  assertSameRequest(idem, entry.fingerprint);
+  if (entry.outcome === "unknown") throw outcomeUnknownError(idem);
+  return replayResponse(idem, entry.result);
+}
+
+// Run `run` at most once per key: replays stored results, joins a concurrent
+// identical call, and stores successful results. Other failures are not
+// stored, except a write cut off mid-request: its key is marked "unknown" and
+// refused from then on, since resending could create the record twice.
+async function runIdempotent(idem, run) {
+  const replay = idempotentReplay(idem);
+  if (replay) return replay;
+
+  const inFlight = idempotencyInFlight.get(idem.key);
+  if (inFlight) {
+    assertSameRequest(idem, inFlight.fingerprint);
+    return replayResponse(idem, await inFlight.promise);
+  }
+
+  const promise = run().catch((err) => {
+    if (!err?.outcomeUnknown) throw err;
+    idempotencyStore.set(idem.key, {
+      outcome: "unknown",
+      fingerprint: idem.fingerprint,
+      expiresAt: Date.now() + idem.ttlMs,
+    });
+    saveIdempotencyStore();
+    throw outcomeUnknownError(idem);
+  });
+  idempotencyInFlight.set(idem.key, { promise, fingerprint: idem.fingerprint });
+  try {
+    const result = await promise;
+    idempotencyStore.set(idem.key, {
+      result,
+      fingerprint: idem.fingerprint,
+      expiresAt: Date.now() + idem.ttlMs,
+    });
+    saveIdempotencyStore();
+    return result;
+  } finally {
+    idempotencyInFlight.delete(idem.key);
+  }
+}
 const PaymentMethodsListSchema = z.object({
   customer_id: z.string(),
 });
@@ -192,7 +1925,22 @@ const PaymentSourceCreateSchema = z.object({
   default: z.boolean().optional(),
 });
 
-const PreAuthorizationListSchema = z.object({
+const PaginationSchema = z.object({
+  cursor: z
+    .string()
+    .optional()
+    .describe("next_cursor from a previous result, to fetch the following page"),
+  page: z.number().int().positive().optional().describe("Page to start from (default 1)"),
+  per: z.number().int().positive().optional().describe("Records per page"),
+  all: z
+    .boolean()
+    .optional()
+    .describe(
+      `Fetch every page and return all records, up to ${PAGINATE_MAX_RECORDS}`
+    ),
+});
+
+const PreAuthorizationListSchema = PaginationSchema.extend({
   customer_id: z.string().optional(),
 });
 
@@ -205,7 +1953,7 @@ const PreAuthorizationCreateSchema = z.object({
   description: z.string().optional(),
 });
 
-const ChargeListSchema = z.object({
+const ChargeListSchema = PaginationSchema.extend({
   customer_id: z.string().optional(),
 });
 
@@ -223,10 +1971,21 @@ const RefundSchema = z.object({
   amount: z.number().int().positive().optional(),
 });
 
-const CustomerListSchema = z.object({
-  page: z.number().int().positive().optional(),
-  per: z.number().int().positive().optional(),
-});
+const CustomerListSchema = PaginationSchema;
+
+const CustomerSearchSchema = z
+  .object({
+    phone: z.string().optional().describe("Phone number in any format, e.g. (520) 555-1234"),
+    email: z.string().optional(),
+    name: z.string().optional().describe("Full name or a fragment, e.g. a last name"),
+    address: z.string().optional().describe("Street address or part of it"),
+    postal_code: z.string().optional(),
+    limit: z.number().int().min(1).max(25).optional().describe("Candidates to return (default 5)"),
+  })
+  .refine(
+    ({ limit, ...criteria }) => Object.values(criteria).some((v) => v && v.trim()),
+    { message: "Provide at least one of phone, email, name, address or postal_code." }
+  );
 
 const CustomerCreateSchema = z.object({
   full_name: z.string(),
@@ -239,10 +1998,11 @@ const CustomerCreateSchema = z.object({
   notes: z.string().optional(),
 });
 
-const CustomerUpdateSchema = CustomerCreateSchema.partial().refine(
-  (val) => Object.keys(val).length > 0,
-  { message: "Provide at least one field to update." }
-);
+const CustomerUpdateSchema = CustomerCreateSchema.partial()
+  .extend({ id: z.string() })
+  .refine(({ id, ...fields }) => Object.keys(fields).length > 0, {
+    message: "Provide at least one field to update.",
+  });
 
 const LocationListSchema = CustomerListSchema;
 
@@ -259,31 +2019,209 @@ const LocationCreateSchema = z.object({
   type: z.string().optional(),
 });
 
-const LocationUpdateSchema = LocationCreateSchema.partial().refine(
-  (val) => Object.keys(val).length > 0,
-  { message: "Provide at least one field to update." }
-);
+const LocationUpdateSchema = LocationCreateSchema.partial()
+  .extend({ id: z.string() })
+  .refine(({ id, ...fields }) => Object.keys(fields).length > 0, {
+    message: "Provide at least one field to update.",
+  });
+
+const WebhookListSchema = z.object({
+  organization_id: z
+    .string()
+    .optional()
+    .describe("Defaults to the caller's organization"),
+});
+
+const PackagedCrossSellsSchema = z.object({
+  location_id: z.string(),
+});
+
+const EmptySchema = z.object({});
+
+const AuditLogQuerySchema = z.object({
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  tool: z.string().optional(),
+  customer_id: z.string().optional(),
+  charge_id: z.string().optional(),
+  limit: z.number().int().min(1).max(500).optional(),
+});
+
+const ServiceAreaSchema = z
+  .object({
+    zip_code: z.string().optional().describe("ZIP code to check, e.g. 85706"),
+    zip_codes: z
+      .array(z.string())
+      .min(1)
+      .max(25)
+      .optional()
+      .describe("Several ZIP codes to check at once"),
+  })
+  .refine((val) => Boolean(val.zip_code || val.zip_codes?.length), {
+    message: "Provide zip_code or zip_codes.",
+  });
+
+const EventListSchema = z.object({
+  type: z.string().optional().describe("Only events of this type"),
+  customer_id: z.string().optional(),
+  since: z.string().datetime({ offset: true }).optional(),
+  limit: z.number().int().min(1).max(100).optional(),
+});
+
+// Output schemas, advertised as outputSchema and describing structuredContent.
+// Sweep&Go records carry more fields than listed here; passthrough keeps them.
+const SngId = z.union([z.string(), z.number()]);
+const OptionalText = z.string().nullable().optional();
+const Money = z.union([z.number(), z.string()]).nullable();
+
+const CustomerOutputSchema = z
+  .object({
+    id: SngId.optional(),
+    full_name: OptionalText,
+    email: OptionalText,
+    mobile: OptionalText,
+    address_1: OptionalText,
+    address_2: OptionalText,
+    region: OptionalText,
+    postal_code: OptionalText,
+    notes: OptionalText,
+  })
+  .passthrough();
+
+const ChargeOutputSchema = z
+  .object({
+    id: SngId.optional(),
+    customer_id: SngId.nullable().optional(),
+    location_id: SngId.nullable().optional(),
+    payment_source_id: SngId.nullable().optional(),
+    amount: Money.optional(),
+    status: OptionalText,
+    description: OptionalText,
+    external_reference: OptionalText,
+    created_at: OptionalText,
+  })
+  .passthrough();
+
+const LocationOutputSchema = z
+  .object({
+    id: SngId.optional(),
+    name: OptionalText,
+    address_1: OptionalText,
+    address_2: OptionalText,
+    postal_code: OptionalText,
+    region: OptionalText,
+    email: OptionalText,
+    mobile: OptionalText,
+    website: OptionalText,
+    type: OptionalText,
+  })
+  .passthrough();
+
+// List tools return the paginate() envelope
+function listOutputSchema(itemSchema) {
+  return z.object({
+    data: z.array(itemSchema),
+    count: z.number().int(),
+    total: z.number().int().nullable(),
+    next_cursor: z.string().nullable(),
+    truncated: z.boolean(),
+  });
+}
+
+const CustomerSearchOutputSchema = z.object({
+  query: z.record(z.string()),
+  candidates: z.array(
+    z.object({
+      score: z.number(),
+      reasons: z.array(z.string()),
+      customer: CustomerOutputSchema,
+    })
+  ),
+  scanned: z.number().int(),
+  truncated: z.boolean(),
+});
+
+const PriceOutputSchema = z
+  .object({
+    price: Money.optional(),
+    regular_price: Money.optional(),
+    initial_cleanup_price: Money.optional(),
+    recommended_frequency: OptionalText,
+  })
+  .passthrough();
+
+const QuoteOutputSchema = z.object({
+  zip_code: z.string(),
+  number_of_dogs: z.number(),
+  last_time_yard_was_thoroughly_cleaned: z.string(),
+  clean_up_frequency: z.string().nullable(),
+  regular_price: Money,
+  initial_cleanup_price: Money,
+  recommended_frequency: z.string().nullable(),
+  cross_sells: z.array(
+    z.object({ name: z.string(), description: z.string() })
+  ),
+});
 
-const WebhookListSchema = z
-  .object({
-    organization_id: z.string().optional(),
-  })
-  .refine(
-    (val) => Boolean(val.organization_id || ORG_SLUG),
-    "organization_id is required unless SNG_ORG_SLUG is set"
-  );
+const ServiceAreaOutputSchema = z.object({
+  results: z.array(
+    z.object({
+      zip_code: z.string(),
+      serviced: z.boolean().nullable(),
+      location: z.object({ id: SngId.nullable(), name: z.string().nullable() }).nullable(),
+      reason: z.string().nullable(),
+      cached: z.boolean(),
+    })
+  ),
+  serviced_count: z.number(),
+});
 
-const PackagedCrossSellsSchema = z.object({
-  location_id: z.string(),
+const OnboardingStatusOutputSchema = z.object({
+  onboarding_id: z.string(),
+  status: z.enum(["in_progress", "submitted"]),
+  fields: z.record(z.any()),
+  missing: z.array(z.string()),
+  quote: z
+    .object({
+      regular_price: Money,
+      initial_cleanup_price: Money,
+      recommended_frequency: z.string().nullable(),
+      locked_at: z.string(),
+    })
+    .nullable(),
+  quote_error: z.string().nullable(),
+  ready: z.boolean(),
 });
 
 // ---------------------------------------------------------------------------
 // Tool implementations
 // ---------------------------------------------------------------------------
 
+// Tool result for a Sweep&Go payload: compact JSON as text plus the same data as
+// structuredContent, which must be an object, so bare arrays are wrapped as
+// { data: [...] } and non-JSON payloads (plain text, HTML) as { text }. Tools
+// with an outputSchema must always return structuredContent.
+function jsonResult(data, structured = data) {
+  const result = { type: "text", text: JSON.stringify(data) };
+  if (Array.isArray(structured)) {
+    result.structuredContent = { data: structured };
+  } else if (structured && typeof structured === "object") {
+    result.structuredContent = structured;
+  } else {
+    result.structuredContent = { text: String(structured ?? "") };
+  }
+  return result;
+}
+
+// Single-record endpoints sometimes answer { data: {...} }; use the record
+function recordOf(data) {
+  return data?.data && typeof data.data === "object" && !Array.isArray(data.data)
+    ? data.data
+    : data;
+}
+
 // 1) Get onboarding price / cross-sell info
-async function tool_get_onboarding_price(args, ctx = {}) {
-  const input = OnboardingPriceInputSchema.parse(args);
+async function tool_get_onboarding_price(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
 
   const data = await sngRequest(
@@ -293,48 +2231,52 @@ async function tool_get_onboarding_price(args, ctx = {}) {
       query: input,
       apiKey: sngApiKey,
       orgSlug: sngOrgSlug,
+      cacheBypass: cacheBypassRequested(opts),
     }
   );
 
+  const { spoken } = describeQuote({ ...input, ...quotePrices(data) }, ctx);
+  return { ...jsonResult(data), spoken: spoken.join(" ") };
+}
+
+// Price fields of a price_registration_form response
+function quotePrices(priceInfo) {
   return {
-    type: "text",
-    text: JSON.stringify(data, null, 2),
+    regular_price: priceInfo?.regular_price ?? priceInfo?.price ?? null,
+    initial_cleanup_price: priceInfo?.initial_cleanup_price ?? null,
+    recommended_frequency: priceInfo?.recommended_frequency ?? null,
   };
 }
 
 // 2) Get available packaged cross-sells
-async function tool_get_packages_list(args, ctx = {}) {
+async function tool_get_packages_list(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
   const data = await sngRequest("/api/v2/packages_list", {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    cacheBypass: cacheBypassRequested(opts),
   });
 
-  return {
-    type: "text",
-    text: JSON.stringify(data, null, 2),
-  };
+  return jsonResult(data);
 }
 
 // 2b) Get all free quotes (listed in S&G docs)
-async function tool_get_free_quotes(args, ctx = {}) {
+async function tool_get_free_quotes(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const data = await sngRequest("/api/v2/free_quotes", {
-    method: "GET",
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
-  });
-
-  return {
-    type: "text",
-    text: JSON.stringify(data, null, 2),
-  };
+  const result = await paginate(input, (query) =>
+    sngRequest("/api/v2/free_quotes", {
+      method: "GET",
+      query,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+    })
+  );
+  return jsonResult(result);
 }
 
 // 3) Parker-friendly quote + frequency recommendation
-async function tool_get_quote_recommendations(args, ctx = {}) {
-  const input = OnboardingPriceInputSchema.parse(args);
+async function tool_get_quote_recommendations(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
 
   const [priceInfo, packagesInfo] = await Promise.all([
@@ -343,394 +2285,1680 @@ async function tool_get_quote_recommendations(args, ctx = {}) {
       query: input,
       apiKey: sngApiKey,
       orgSlug: sngOrgSlug,
+      cacheBypass: cacheBypassRequested(opts),
+    }),
+    sngRequest("/api/v2/packages_list", {
+      method: "GET",
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+      cacheBypass: cacheBypassRequested(opts),
     }),
-    sngRequest("/api/v2/packages_list", { method: "GET", apiKey: sngApiKey, orgSlug: sngOrgSlug }),
   ]);
 
-  const base = priceInfo?.regular_price ?? priceInfo?.price ?? null;
-  const initial = priceInfo?.initial_cleanup_price ?? null;
-  const recommendedFrequency = priceInfo?.recommended_frequency ?? null;
+  const quote = {
+    zip_code: input.zip_code,
+    number_of_dogs: input.number_of_dogs,
+    last_time_yard_was_thoroughly_cleaned: input.last_time_yard_was_thoroughly_cleaned,
+    clean_up_frequency: input.clean_up_frequency ?? null,
+    ...quotePrices(priceInfo),
+  };
+  const { lines, spoken } = describeQuote(quote, ctx);
 
-  const lines = [];
+  const cross = packagesInfo?.cross_sells || packagesInfo?.packages || [];
+  const crossSells = (Array.isArray(cross) ? cross : [])
+    .slice(0, 5)
+    .map((pkg) => ({
+      name: pkg.name || "Package",
+      description: pkg.description || "",
+    }));
+  if (crossSells.length) {
+    lines.push("");
+    lines.push("Cross-sell ideas you can mention:");
+    for (const { name, description } of crossSells) {
+      lines.push(`- ${name}: ${description}`.trim());
+    }
+    spoken.push(
+      `We also offer ${crossSells
+        .slice(0, 2)
+        .map(({ name }) => name)
+        .join(" and ")}.`
+    );
+  }
 
-  lines.push(
-    `Here is a summary based on ${input.number_of_dogs} dog(s) in zip ${input.zip_code}.`
-  );
+  return {
+    type: "text",
+    text: lines.join("\n"),
+    spoken: spoken.join(" "),
+    structuredContent: { ...quote, cross_sells: crossSells },
+  };
+}
+
+// 3b) Service area. A ZIP is serviced when the price form quotes it, and the
+// location list says which location covers it. It is not serviced when the
+// form has no price for it or rejects the zip_code field itself. Verdicts
+// either way are kept per org in the "service_area" cache group, which
+// location writes clear; anything else is reported as unknown, uncached.
+const SERVICE_AREA_CACHE_RULE = CACHE_RULES.find((r) => r.group === "service_area");
+
+// The price form also wants dogs and yard condition; coverage does not
+// depend on them
+const SERVICE_AREA_PROBE = {
+  number_of_dogs: 1,
+  last_time_yard_was_thoroughly_cleaned: "one_week",
+};
+
+function locationServesZip(location, zip) {
+  const zips = [location?.postal_code]
+    .concat(location?.zip_codes ?? location?.service_zip_codes ?? [])
+    .map((value) => String(value ?? "").slice(0, 5));
+  return zips.includes(zip);
+}
+
+// The price form's location when it names one, else a location whose ZIP
+// list has it, else the only location of a single-location org
+function serviceAreaLocation(priceInfo, locations, zip) {
+  const locationId = priceInfo?.location_id ?? priceInfo?.location?.id ?? null;
+  const match =
+    (locationId != null && locations.find((l) => String(l.id) === String(locationId))) ||
+    locations.find((l) => locationServesZip(l, zip)) ||
+    (locations.length === 1 ? locations[0] : null);
+  if (match) return { id: match.id ?? null, name: match.name ?? null };
+  if (locationId != null) return { id: locationId, name: priceInfo?.location?.name ?? null };
+  return null;
+}
 
-  if (base !== null) {
-    lines.push(`- Regular visit estimate: ${base}`);
+async function checkServiceAreaZip(zip, ctx, opts, getLocations) {
+  if (!/^\d{5}$/.test(zip)) {
+    return { zip_code: zip, serviced: false, location: null, reason: "Not a valid 5-digit ZIP code.", cached: false };
   }
-  if (initial !== null) {
-    lines.push(`- Initial cleanup estimate: ${initial}`);
+  const orgSlug = ctx?.sngOrgSlug || ORG_SLUG;
+  const apiTag = cacheCredentialTag(ctx?.sngApiKey || SNG_API_KEY);
+  const cacheKey = `${orgSlug || ""}|${apiTag}|service_area:${zip}`;
+  const useCache = CACHE_ENABLED && SERVICE_AREA_CACHE_RULE.ttlSeconds > 0;
+  if (useCache && !cacheBypassRequested(opts)) {
+    const hit = cacheGet(cacheKey);
+    if (hit) return { ...hit, cached: true };
   }
-  if (recommendedFrequency) {
-    lines.push(`- Recommended frequency: ${recommendedFrequency}`);
+
+  let verdict;
+  try {
+    const priceInfo = await sngRequest("/api/v2/client_on_boarding/price_registration_form", {
+      method: "GET",
+      query: { zip_code: zip, ...SERVICE_AREA_PROBE },
+      apiKey: ctx?.sngApiKey,
+      orgSlug: ctx?.sngOrgSlug,
+      cacheBypass: cacheBypassRequested(opts),
+    });
+    verdict =
+      quotePrices(priceInfo).regular_price == null
+        ? { zip_code: zip, serviced: false, location: null, reason: "Sweep&Go has no price for this ZIP code." }
+        : {
+            zip_code: zip,
+            serviced: true,
+            location: serviceAreaLocation(priceInfo, await getLocations(), zip),
+            reason: null,
+          };
+  } catch (err) {
+    const toolErr = toToolError(err);
+    if (toolErr.kind === "internal") throw err;
+    const zipRejection = toolErr.kind === "upstream_rejected" && toolErr.fields?.zip_code;
+    if (!zipRejection) {
+      return { zip_code: zip, serviced: null, location: null, reason: `Could not check: ${toolErr.message}`, cached: false };
+    }
+    verdict = {
+      zip_code: zip,
+      serviced: false,
+      location: null,
+      reason: toolErr.fields.zip_code.join(" ") || toolErr.upstreamMessage || toolErr.message,
+    };
   }
+  if (useCache) cacheSet(cacheKey, SERVICE_AREA_CACHE_RULE, orgSlug, verdict);
+  return { ...verdict, cached: false };
+}
 
-  const cross = packagesInfo?.cross_sells || packagesInfo?.packages || [];
-  if (Array.isArray(cross) && cross.length) {
-    lines.push("");
-    lines.push("Cross-sell ideas you can mention:");
-    for (const pkg of cross.slice(0, 5)) {
-      const name = pkg.name || "Package";
-      const desc = pkg.description || "";
-      lines.push(`- ${name}: ${desc}`.trim());
+async function tool_check_service_area(input, ctx = {}, opts = {}) {
+  const zips = [
+    ...new Set(
+      [].concat(input.zip_code ?? [], input.zip_codes ?? []).map((zip) =>
+        String(zip).trim().replace(/-\d{4}$/, "")
+      )
+    ),
+  ];
+
+  // Fetched once, and only when a serviced ZIP needs its location; without
+  // it the verdict still stands
+  let locations;
+  const getLocations = () =>
+    (locations ??= paginate({ all: true }, (query) =>
+      sngRequest("/api/v1/locations", {
+        method: "GET",
+        query,
+        apiKey: ctx?.sngApiKey,
+        orgSlug: ctx?.sngOrgSlug,
+        cacheBypass: cacheBypassRequested(opts),
+      })
+    )
+      .then((result) => result.data)
+      .catch(() => []));
+
+  const results = await Promise.all(
+    zips.map((zip) => checkServiceAreaZip(zip, ctx, opts, getLocations))
+  );
+
+  const lines = [];
+  const spoken = [];
+  for (const r of results) {
+    const where = r.location?.name ? ` from our ${r.location.name} location` : "";
+    if (r.serviced) {
+      lines.push(
+        `${r.zip_code}: serviced` +
+          (r.location ? ` by ${r.location.name || "location"} (location ${r.location.id ?? "unknown"})` : "") +
+          "."
+      );
+      spoken.push(`Yes, we service ZIP code ${spokenDigits(r.zip_code)}${where}.`);
+    } else if (r.serviced === false) {
+      lines.push(`${r.zip_code}: not serviced. ${r.reason}`);
+      spoken.push(`Sorry, we don't currently service ZIP code ${spokenDigits(r.zip_code)}.`);
+    } else {
+      lines.push(`${r.zip_code}: unknown. ${r.reason}`);
+      spoken.push(`I couldn't check ZIP code ${spokenDigits(r.zip_code)} right now.`);
     }
   }
 
   return {
     type: "text",
     text: lines.join("\n"),
+    spoken: spoken.join(" "),
+    structuredContent: {
+      results,
+      serviced_count: results.filter((r) => r.serviced).length,
+    },
   };
 }
 
 // 4) Create client (mutating)
-const CreateClientInputSchema = z.object({
-  zip_code: z.string(),
-  number_of_dogs: z.number().int().min(1),
-  last_time_yard_was_thoroughly_cleaned: z.string(),
-  clean_up_frequency: z.string(),
-  initial_cleanup_required: z.boolean(),
-  first_name: z.string(),
-  last_name: z.string(),
-  email: z.string().email(),
-  home_address: z.string(),
-  city: z.string(),
-  state: z.string(),
-  home_phone_number: z.string().optional(),
-  cell_phone_number: z.string().optional(),
-  additional_comment: z.string().optional(),
-});
+async function tool_create_client(input, ctx = {}, opts = {}) {
+  const { sngApiKey, sngOrgSlug } = ctx || {};
+
+  const dryRun = dryRunRequested(opts, ctx);
+  const send = () =>
+    sngRequest("/api/v1/residential/onboarding", {
+      method: "PUT",
+      body: input,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+      dryRun,
+    });
+  if (dryRun) return dryRunResponse(await send());
 
-async function tool_create_client(args, ctx = {}) {
-  if (!ALLOW_WRITES) {
+  const idem = idempotencyKeyFor("create_client", input, opts, ctx);
+  return runIdempotent(idem, async () => {
+    const data = await send();
+    const result = jsonResult(data);
     return {
-      type: "text",
-      text:
-        "Writes are disabled for this MCP server. Set SNG_ALLOW_WRITES=true in .env if you really want Parker to create clients.",
+      ...result,
+      text: "Client created in Sweep&Go.\n\nResponse:\n" + result.text,
     };
+  });
+}
+
+// Guided onboarding. Answers accumulate across turns in a record owned by the
+// caller's session (tenant/org for stateless callers, who pass onboarding_id).
+// Once ZIP, dogs, yard condition and frequency are known the price is fetched
+// and locked; only a change to one of those re-quotes it. Records live in
+// memory for ONBOARDING_TTL_MS after their last update.
+const ONBOARDING_TTL_MS = 2 * 60 * 60 * 1000;
+const ONBOARDING_PRICE_FIELDS = [
+  "zip_code",
+  "number_of_dogs",
+  "last_time_yard_was_thoroughly_cleaned",
+  "clean_up_frequency",
+];
+const ONBOARDING_REQUIRED_FIELDS = Object.entries(CreateClientInputSchema.shape)
+  .filter(([, schema]) => !schema.isOptional())
+  .map(([field]) => field);
+const onboardings = new Map();
+// Current onboarding per MCP session scope
+const activeOnboardings = new Map();
+
+function pruneOnboardings() {
+  const now = Date.now();
+  for (const [id, record] of onboardings) {
+    if (record.expiresAt > now) continue;
+    onboardings.delete(id);
+    if (activeOnboardings.get(record.scope) === id) activeOnboardings.delete(record.scope);
   }
+}
 
-  const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = CreateClientInputSchema.parse(args);
+function findOnboarding(input, ctx) {
+  pruneOnboardings();
+  const scope = confirmationScope(ctx);
+  const id = input.onboarding_id || (ctx?.sessionId ? activeOnboardings.get(scope) : null);
+  const record = id ? onboardings.get(id) : null;
+  if (!record || record.scope !== scope) {
+    throw new ToolError(
+      "not_found",
+      id
+        ? `No onboarding ${id} is open for this caller (it may have expired). Call start_onboarding to begin again.`
+        : "No onboarding in progress. Call start_onboarding first and pass the onboarding_id it returns."
+    );
+  }
+  return record;
+}
 
-  const data = await sngRequest("/api/v1/residential/onboarding", {
-    method: "PUT",
-    body: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
-  });
+// Merge answers into the record and (re)lock the price when the pricing
+// fields are complete. A failed price lookup is kept as quote_error rather
+// than failing the update, so the other answers are not lost.
+async function applyOnboardingAnswers(record, fields, ctx) {
+  const repriced = ONBOARDING_PRICE_FIELDS.some(
+    (field) => field in fields && fields[field] !== record.fields[field]
+  );
+  Object.assign(record.fields, fields);
+  record.expiresAt = Date.now() + ONBOARDING_TTL_MS;
+  if (repriced) {
+    record.quote = null;
+    record.quote_error = null;
+  }
+  if (record.quote || ONBOARDING_PRICE_FIELDS.some((field) => record.fields[field] === undefined)) {
+    return;
+  }
+
+  try {
+    const data = await sngRequest("/api/v2/client_on_boarding/price_registration_form", {
+      method: "GET",
+      query: Object.fromEntries(ONBOARDING_PRICE_FIELDS.map((field) => [field, record.fields[field]])),
+      apiKey: ctx?.sngApiKey,
+      orgSlug: ctx?.sngOrgSlug,
+    });
+    record.quote = { ...quotePrices(data), locked_at: new Date().toISOString() };
+    record.quote_error = null;
+  } catch (err) {
+    const toolErr = toToolError(err);
+    if (toolErr.kind === "internal") throw err;
+    record.quote_error = toolErr.message;
+  }
+}
 
+function onboardingStatus(record) {
+  const missing = ONBOARDING_REQUIRED_FIELDS.filter((field) => record.fields[field] === undefined);
   return {
-    type: "text",
-    text:
-      "Client created in Sweep&Go.\n\nResponse:\n" +
-      JSON.stringify(data, null, 2),
+    onboarding_id: record.id,
+    status: record.status,
+    fields: record.fields,
+    missing,
+    quote: record.quote,
+    quote_error: record.quote_error,
+    ready: record.status === "in_progress" && !missing.length && Boolean(record.quote),
+  };
+}
+
+function onboardingResult(record, ctx) {
+  const status = onboardingStatus(record);
+  const notes = [];
+  if (status.status === "submitted") {
+    notes.push("Already submitted to Sweep&Go.");
+  } else if (status.missing.length) {
+    notes.push(`Still needed: ${status.missing.join(", ")}.`);
+  }
+  if (status.quote) {
+    const frequency = frequencyPhrase(record.fields.clean_up_frequency);
+    notes.push(
+      `Price locked: ${formatMoney(status.quote.regular_price, ctx) ?? "no regular price"} per visit` +
+        (frequency ? ` (${frequency})` : "") +
+        (status.quote.initial_cleanup_price != null
+          ? `, initial cleanup ${formatMoney(status.quote.initial_cleanup_price, ctx)}.`
+          : ".")
+    );
+  } else if (status.quote_error) {
+    notes.push(`Could not price this onboarding: ${status.quote_error}`);
+  }
+  if (status.ready) notes.push("Ready to submit once the caller confirms.");
+  const result = jsonResult(status);
+  return { ...result, text: `${notes.join(" ")}\n\n${result.text}`.trim() };
+}
+
+async function tool_start_onboarding(input, ctx = {}) {
+  pruneOnboardings();
+  const scope = confirmationScope(ctx);
+  const record = {
+    id: `ob_${crypto.randomBytes(6).toString("hex")}`,
+    scope,
+    status: "in_progress",
+    fields: {},
+    quote: null,
+    quote_error: null,
+    expiresAt: Date.now() + ONBOARDING_TTL_MS,
   };
+  onboardings.set(record.id, record);
+  if (ctx?.sessionId) activeOnboardings.set(scope, record.id);
+  await applyOnboardingAnswers(record, input, ctx);
+  return onboardingResult(record, ctx);
+}
+
+async function tool_update_onboarding(input, ctx = {}) {
+  const { onboarding_id, ...fields } = input;
+  const record = findOnboarding(input, ctx);
+  if (record.status === "submitted") {
+    throw new ToolError(
+      "validation",
+      `Onboarding ${record.id} was already submitted; start a new one to make changes.`
+    );
+  }
+  await applyOnboardingAnswers(record, fields, ctx);
+  return onboardingResult(record, ctx);
+}
+
+async function tool_get_onboarding_status(input, ctx = {}) {
+  return onboardingResult(findOnboarding(input, ctx), ctx);
+}
+
+// Sends the collected answers through create_client, keyed for idempotency on
+// the onboarding id so a retried submit cannot create the client twice
+async function tool_submit_onboarding(input, ctx = {}, opts = {}) {
+  // Submitting creates the client, so create_client's policy applies too
+  findTool("create_client", ctx);
+  const record = findOnboarding(input, ctx);
+  const status = onboardingStatus(record);
+  if (status.missing.length) {
+    throw new ToolError("validation", `Onboarding ${record.id} is not complete`, {
+      fields: Object.fromEntries(status.missing.map((field) => [field, ["Required"]])),
+    });
+  }
+  if (!record.quote) {
+    throw new ToolError(
+      "validation",
+      `Onboarding ${record.id} has no locked price${record.quote_error ? ` (${record.quote_error})` : ""}. Correct the ZIP code, dogs, yard condition or frequency with update_onboarding.`
+    );
+  }
+
+  const result = await tool_create_client(CreateClientInputSchema.parse(record.fields), ctx, {
+    ...opts,
+    idempotency_key: `onboarding-${record.id}`,
+  });
+  if (!dryRunRequested(opts, ctx)) {
+    record.status = "submitted";
+    record.expiresAt = Date.now() + ONBOARDING_TTL_MS;
+  }
+  return result;
 }
 
 // Payment methods
-async function tool_list_payment_methods(args, ctx = {}) {
+async function tool_list_payment_methods(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = PaymentMethodsListSchema.parse(args);
   const data = await sngRequest("/api/v1/payment_methods", {
     method: "GET",
     query: { customer_id: input.customer_id },
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data);
 }
 
-async function tool_get_payment_method(args, ctx = {}) {
+async function tool_get_payment_method(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
   const data = await sngRequest(`/api/v1/payment_methods/${input.id}`, {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data);
 }
 
 // Payment sources
-async function tool_get_payment_source(args, ctx = {}) {
+async function tool_get_payment_source(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
   const data = await sngRequest(`/api/v1/payment_sources/${input.id}`, {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data);
 }
 
-async function tool_create_payment_source(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_create_payment_source(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = PaymentSourceCreateSchema.parse(args);
+  const dryRun = dryRunRequested(opts, ctx);
   const data = await sngRequest("/api/v1/payment_sources", {
     method: "POST",
     body: input,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
 // Pre-authorizations
-async function tool_list_pre_authorizations(args, ctx = {}) {
+async function tool_list_pre_authorizations(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = PreAuthorizationListSchema.parse(args || {});
-  const data = await sngRequest("/api/v1/pre_authorizations", {
-    method: "GET",
-    query: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
-  });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  const result = await paginate(input, (query) =>
+    sngRequest("/api/v1/pre_authorizations", {
+      method: "GET",
+      query,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+    })
+  );
+  return jsonResult(result);
 }
 
-async function tool_get_pre_authorization(args, ctx = {}) {
+async function tool_get_pre_authorization(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
   const data = await sngRequest(`/api/v1/pre_authorizations/${input.id}`, {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data);
 }
 
-async function tool_create_pre_authorization(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_create_pre_authorization(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = PreAuthorizationCreateSchema.parse(args);
-  const data = await sngRequest("/api/v1/pre_authorizations", {
-    method: "POST",
-    body: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
+  const dryRun = dryRunRequested(opts, ctx);
+  const send = () =>
+    sngRequest("/api/v1/pre_authorizations", {
+      method: "POST",
+      body: input,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+      dryRun,
+    });
+  if (dryRun) return dryRunResponse(await send());
+
+  const idem = idempotencyKeyFor("create_pre_authorization", input, opts, ctx);
+  return runIdempotent(idem, async () => {
+    const data = await send();
+    return jsonResult(data);
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
 }
 
-async function tool_delete_pre_authorization(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_delete_pre_authorization(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
+  const dryRun = dryRunRequested(opts, ctx);
   const data = await sngRequest(`/api/v1/pre_authorizations/${input.id}`, {
     method: "DELETE",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
 // Charges
-async function tool_list_charges(args, ctx = {}) {
+async function tool_list_charges(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = ChargeListSchema.parse(args || {});
-  const data = await sngRequest("/api/v1/charges", {
-    method: "GET",
-    query: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
-  });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  const result = await paginate(input, (query) =>
+    sngRequest("/api/v1/charges", {
+      method: "GET",
+      query,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+    })
+  );
+  return {
+    ...jsonResult(result),
+    spoken: describeCharges(result.data, ctx, result.total),
+  };
 }
 
-async function tool_get_charge(args, ctx = {}) {
+async function tool_get_charge(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
   const data = await sngRequest(`/api/v1/charges/${input.id}`, {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return {
+    ...jsonResult(data, recordOf(data)),
+    spoken: describeCharge(recordOf(data), ctx, { spoken: true }),
+  };
 }
 
-async function tool_create_charge(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_create_charge(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = ChargeCreateSchema.parse(args);
-  const data = await sngRequest("/api/v1/charges", {
-    method: "POST",
-    body: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
+  const dryRun = dryRunRequested(opts, ctx);
+  const send = () =>
+    sngRequest("/api/v1/charges", {
+      method: "POST",
+      body: input,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+      dryRun,
+    });
+  if (dryRun) return dryRunResponse(await send());
+
+  // A retry of an already-executed charge replays before asking to confirm again
+  const idem = idempotencyKeyFor("create_charge", input, opts, ctx);
+  const replay = idempotentReplay(idem);
+  if (replay) return replay;
+
+  const confirm = confirmationGate(
+    "create_charge",
+    input,
+    opts,
+    ctx,
+    `charge ${formatChargeAmount(input.amount, ctx)} to customer ${input.customer_id} using payment source ${input.payment_source_id} at location ${input.location_id}` +
+      (input.description ? ` ("${input.description}")` : "") +
+      "."
+  );
+  if (confirm) return confirm;
+
+  return runIdempotent(idem, async () => {
+    const data = await send();
+    return {
+      ...jsonResult(data),
+      spoken: `The charge of ${formatChargeAmount(input.amount, ctx, { spoken: true })} went through.`,
+    };
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
 }
 
-async function tool_refund_charge(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_refund_charge(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = RefundSchema.parse(args);
   const body = input.amount !== undefined ? { amount: input.amount } : undefined;
+  const dryRun = dryRunRequested(opts, ctx);
+  if (!dryRun) {
+    const confirm = confirmationGate(
+      "refund_charge",
+      input,
+      opts,
+      ctx,
+      input.amount !== undefined
+        ? `refund ${formatChargeAmount(input.amount, ctx)} of charge ${input.id}.`
+        : `refund charge ${input.id} in full.`
+    );
+    if (confirm) return confirm;
+  }
   const data = await sngRequest(`/api/v1/charges/${input.id}/refund`, {
     method: "POST",
     body,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return {
+    ...jsonResult(data),
+    spoken:
+      input.amount !== undefined
+        ? `The refund of ${formatChargeAmount(input.amount, ctx, { spoken: true })} has been issued.`
+        : "The charge has been refunded in full.",
+  };
 }
 
 // Customers
-async function tool_list_customers(args, ctx = {}) {
+async function tool_list_customers(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = CustomerListSchema.parse(args || {});
-  const data = await sngRequest("/api/v1/customers", {
-    method: "GET",
-    query: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
+  const result = await paginate(input, (query) =>
+    sngRequest("/api/v1/customers", {
+      method: "GET",
+      query,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+    })
+  );
+  return jsonResult(result);
+}
+
+// Customer search. Sweep&Go has no fuzzy search, so candidates are scored
+// locally across all pages. Exact email / postal code are sent as filters
+// first; if that finds nobody the full list is scanned instead.
+function toE164(raw) {
+  if (!raw) return null;
+  const text = String(raw).trim();
+  const digits = text.replace(/\D/g, "");
+  if (!digits) return null;
+  if (text.startsWith("+")) return `+${digits}`;
+  if (text.startsWith("00")) return `+${digits.slice(2)}`;
+  if (DEFAULT_COUNTRY_CODE === "1" && digits.length === 11 && digits.startsWith("1")) {
+    return `+${digits}`;
+  }
+  return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+}
+
+function normalizeText(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const STREET_ABBREVIATIONS = {
+  street: "st",
+  avenue: "ave",
+  road: "rd",
+  drive: "dr",
+  boulevard: "blvd",
+  lane: "ln",
+  court: "ct",
+  place: "pl",
+};
+
+function normalizeAddress(value) {
+  return normalizeText(value)
+    .split(" ")
+    .map((word) => STREET_ABBREVIATIONS[word] || word)
+    .join(" ");
+}
+
+const CUSTOMER_PHONE_FIELDS = ["mobile", "phone", "cell_phone_number", "home_phone_number"];
+
+// Score one customer against the normalized query; reasons explain the score
+function scoreCustomer(customer, query) {
+  let score = 0;
+  const reasons = [];
+
+  if (query.phone) {
+    for (const field of CUSTOMER_PHONE_FIELDS) {
+      const phone = toE164(customer[field]);
+      if (!phone) continue;
+      if (phone === query.phone) {
+        score += 50;
+        reasons.push(`phone matches ${field}`);
+        break;
+      }
+      if (phone.slice(-7) === query.phone.slice(-7)) {
+        score += 20;
+        reasons.push(`last 7 digits of ${field} match`);
+        break;
+      }
+    }
+  }
+
+  if (query.email && String(customer.email || "").trim().toLowerCase() === query.email) {
+    score += 50;
+    reasons.push("email matches");
+  }
+
+  if (query.name) {
+    const fullName = normalizeText(
+      customer.full_name || [customer.first_name, customer.last_name].filter(Boolean).join(" ")
+    );
+    const tokens = query.name.split(" ");
+    const found = tokens.filter((token) => fullName.split(" ").includes(token));
+    if (fullName && fullName === query.name) {
+      score += 40;
+      reasons.push("full name matches");
+    } else if (found.length) {
+      score += Math.round((30 * found.length) / tokens.length);
+      reasons.push(`name contains ${found.map((t) => `"${t}"`).join(", ")}`);
+    }
+  }
+
+  if (query.address) {
+    const address = normalizeAddress(
+      [customer.address_1, customer.address_2, customer.home_address].filter(Boolean).join(" ")
+    );
+    if (address && (address.includes(query.address) || query.address.includes(address))) {
+      score += 25;
+      reasons.push("street address matches");
+    }
+  }
+
+  if (
+    query.postal_code &&
+    String(customer.postal_code || customer.zip_code || "").slice(0, 5) === query.postal_code
+  ) {
+    score += 15;
+    reasons.push("postal code matches");
+  }
+
+  return { score, reasons };
+}
+
+async function tool_search_customers(input, ctx = {}, opts = {}) {
+  const { sngApiKey, sngOrgSlug } = ctx || {};
+  const query = Object.fromEntries(
+    Object.entries({
+      phone: toE164(input.phone),
+      email: input.email?.trim().toLowerCase(),
+      name: input.name ? normalizeText(input.name) : null,
+      address: input.address ? normalizeAddress(input.address) : null,
+      postal_code: input.postal_code?.trim().slice(0, 5),
+    }).filter(([, value]) => value)
+  );
+
+  const scan = (filters) =>
+    paginate({ all: true, per: 100, ...filters }, (params) =>
+      sngRequest("/api/v1/customers", {
+        method: "GET",
+        query: params,
+        apiKey: sngApiKey,
+        orgSlug: sngOrgSlug,
+      })
+    );
+  const rank = (customers) =>
+    customers
+      .map((customer) => ({ ...scoreCustomer(customer, query), customer }))
+      .filter((candidate) => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, input.limit ?? 5);
+
+  const serverFilters = {};
+  if (query.email) serverFilters.email = query.email;
+  if (query.postal_code) serverFilters.postal_code = query.postal_code;
+
+  let page = await scan(serverFilters);
+  let candidates = rank(page.data);
+  if (!candidates.length && Object.keys(serverFilters).length) {
+    page = await scan({});
+    candidates = rank(page.data);
+  }
+
+  return jsonResult({
+    query,
+    candidates,
+    scanned: page.count,
+    truncated: page.truncated,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
 }
 
-async function tool_get_customer(args, ctx = {}) {
+async function tool_get_customer(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
   const data = await sngRequest(`/api/v1/customers/${input.id}`, {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data, recordOf(data));
 }
 
-async function tool_create_customer(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_create_customer(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = CustomerCreateSchema.parse(args);
+  const dryRun = dryRunRequested(opts, ctx);
   const data = await sngRequest("/api/v1/customers", {
     method: "POST",
     body: input,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
-async function tool_update_customer(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_update_customer(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const { id, ...rest } = { ...(args || {}) };
-  const idInput = IdSchema.parse({ id });
-  const input = CustomerUpdateSchema.parse(rest);
-  const data = await sngRequest(`/api/v1/customers/${idInput.id}`, {
+  const { id, ...fields } = input;
+  const dryRun = dryRunRequested(opts, ctx);
+  const data = await sngRequest(`/api/v1/customers/${id}`, {
     method: "PUT",
-    body: input,
+    body: fields,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
-async function tool_delete_customer(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_delete_customer(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
+  const dryRun = dryRunRequested(opts, ctx);
+  if (!dryRun) {
+    const confirm = confirmationGate(
+      "delete_customer",
+      input,
+      opts,
+      ctx,
+      `permanently delete customer ${input.id}.`
+    );
+    if (confirm) return confirm;
+  }
   const data = await sngRequest(`/api/v1/customers/${input.id}`, {
     method: "DELETE",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
 // Locations
-async function tool_list_locations(args, ctx = {}) {
-  const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = LocationListSchema.parse(args || {});
-  const data = await sngRequest("/api/v1/locations", {
-    method: "GET",
-    query: input,
-    apiKey: sngApiKey,
-    orgSlug: sngOrgSlug,
-  });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+async function tool_list_locations(input, ctx = {}, opts = {}) {
+  const { sngApiKey, sngOrgSlug } = ctx || {};
+  const result = await paginate(input, (query) =>
+    sngRequest("/api/v1/locations", {
+      method: "GET",
+      query,
+      apiKey: sngApiKey,
+      orgSlug: sngOrgSlug,
+      cacheBypass: cacheBypassRequested(opts),
+    })
+  );
+  return jsonResult(result);
 }
 
-async function tool_get_location(args, ctx = {}) {
+async function tool_get_location(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
   const data = await sngRequest(`/api/v1/locations/${input.id}`, {
     method: "GET",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    cacheBypass: cacheBypassRequested(opts),
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data, recordOf(data));
 }
 
-async function tool_create_location(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_create_location(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = LocationCreateSchema.parse(args);
+  const dryRun = dryRunRequested(opts, ctx);
   const data = await sngRequest("/api/v1/locations", {
     method: "POST",
     body: input,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
-async function tool_update_location(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_update_location(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const { id, ...rest } = { ...(args || {}) };
-  const idInput = IdSchema.parse({ id });
-  const input = LocationUpdateSchema.parse(rest);
-  const data = await sngRequest(`/api/v1/locations/${idInput.id}`, {
+  const { id, ...fields } = input;
+  const dryRun = dryRunRequested(opts, ctx);
+  const data = await sngRequest(`/api/v1/locations/${id}`, {
     method: "PUT",
-    body: input,
+    body: fields,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
 // Webhooks
-async function tool_list_webhooks(args, ctx = {}) {
+async function tool_list_webhooks(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = WebhookListSchema.parse(args || {});
   const organization_id = input.organization_id || sngOrgSlug || ORG_SLUG;
+  if (!organization_id) {
+    throw new ToolError("validation", "No organization to list webhooks for", {
+      fields: { organization_id: ["Required when the caller has no organization"] },
+    });
+  }
   const data = await sngRequest("/api/v1/webhooks", {
     method: "GET",
     query: { organization_id },
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  return jsonResult(data);
 }
 
-async function tool_retry_webhook(args, ctx = {}) {
-  if (!ALLOW_WRITES) return writesDisabledResponse();
+async function tool_retry_webhook(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = IdSchema.parse(args);
+  const dryRun = dryRunRequested(opts, ctx);
   const data = await sngRequest(`/api/v1/webhooks/${input.id}/retry`, {
     method: "PUT",
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    dryRun,
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+  if (dryRun) return dryRunResponse(data);
+  return jsonResult(data);
 }
 
 // Packaged cross-sells
-async function tool_get_packaged_cross_sells(args, ctx = {}) {
+async function tool_get_packaged_cross_sells(input, ctx = {}, opts = {}) {
   const { sngApiKey, sngOrgSlug } = ctx || {};
-  const input = PackagedCrossSellsSchema.parse(args);
   const data = await sngRequest("/api/v1/packaged_cross_sells", {
     method: "GET",
     query: input,
     apiKey: sngApiKey,
     orgSlug: sngOrgSlug,
+    cacheBypass: cacheBypassRequested(opts),
+  });
+  return jsonResult(data);
+}
+
+// Audit log (scoped to the caller's organization)
+async function tool_get_audit_log(input, ctx = {}, opts = {}) {
+  const entries = await readAuditLog({
+    from: input.from,
+    to: input.to,
+    tool: input.tool,
+    customerId: input.customer_id,
+    chargeId: input.charge_id,
+    orgSlug: localDataOrg(ctx),
+    limit: input.limit ?? 50,
+  });
+  return jsonResult({ data: entries });
+}
+
+async function tool_list_recent_events(input, ctx = {}) {
+  const sinceMs = input.since ? Date.parse(input.since) : null;
+  const events = webhookEventsFor(localDataOrg(ctx))
+    .filter(
+      (e) =>
+        (!input.type || e.type === input.type) &&
+        (!input.customer_id || e.customer_id === input.customer_id) &&
+        (sinceMs === null || Date.parse(e.received_at) >= sinceMs)
+    )
+    .slice(0, input.limit ?? 20)
+    .map(({ id, type, received_at, customer_id, location_id }) => ({
+      id,
+      type,
+      received_at,
+      customer_id,
+      location_id,
+    }));
+  return jsonResult({ data: events, count: events.length });
+}
+
+async function tool_get_event(input, ctx = {}) {
+  const event = webhookEventsFor(localDataOrg(ctx)).find((e) => e.id === input.id);
+  if (!event) throw new ToolError("not_found", `No webhook event ${input.id} has been received.`);
+  return jsonResult(event);
+}
+
+// ---------------------------------------------------------------------------
+// Tool definitions
+// ---------------------------------------------------------------------------
+
+// Per-call switches a tool can accept next to its Sweep&Go fields. They are
+// validated with the rest of the arguments but handed to the handler as a
+// separate `opts` object, so they never leak into a Sweep&Go request.
+const TOOL_OPTION_FIELDS = {
+  cache_bypass: z
+    .boolean()
+    .optional()
+    .describe("Skip the cached copy and fetch fresh data from Sweep&Go."),
+  confirmation_token: z
+    .string()
+    .optional()
+    .describe(
+      "Token returned by the first call; send it with identical arguments to carry out the action."
+    ),
+  idempotency_key: z
+    .string()
+    .optional()
+    .describe(
+      "Reuse the same key when retrying; a repeated key returns the original result instead of creating a duplicate."
+    ),
+  dry_run: z
+    .boolean()
+    .optional()
+    .describe(
+      "Validate the input and return the request that would be sent to Sweep&Go without sending it."
+    ),
+  fields: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Only return these fields of each record, as dot-paths (e.g. ["id", "full_name", "address.city"]).'
+    ),
+  format: z
+    .enum(["compact", "json", "summary"])
+    .optional()
+    .describe(
+      "compact (default): single-line JSON; json: pretty-printed JSON; summary: one short line per record."
+    ),
+  spoken: z
+    .boolean()
+    .optional()
+    .describe(
+      "Return short plain sentences suited to text-to-speech (no bullets, codes or JSON)."
+    ),
+};
+
+// Options of every tool whose result is a record or a list of records
+const PRESENTATION_OPTIONS = ["fields", "format"];
+
+function toJsonSchema(schema) {
+  const { $schema, ...json } = zodToJsonSchema(schema, { $refStrategy: "none" });
+  return json;
+}
+
+// Default MCP annotations per policy category. Everything talks to Sweep&Go
+// (openWorldHint) unless a tool says otherwise.
+const CATEGORY_ANNOTATIONS = {
+  read: { readOnlyHint: true, destructiveHint: false, idempotentHint: true },
+  write: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+  destructive: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+};
+
+// Build a tool from one Zod schema: the advertised inputSchema and the
+// validation in callTool both come from `schema` plus the named `options`.
+// Tools that are not read-only always accept dry_run. `output` is the Zod
+// schema of the structuredContent the handler returns; `annotations`
+// overrides the category defaults.
+function defineTool({
+  name,
+  description,
+  category,
+  schema,
+  options = [],
+  output,
+  annotations,
+  handler,
+}) {
+  const optionNames = category === "read" ? options : [...options, "dry_run"];
+  const optionsSchema = z.object(
+    Object.fromEntries(optionNames.map((key) => [key, TOOL_OPTION_FIELDS[key]]))
+  );
+  const inputSchema = toJsonSchema(schema);
+  inputSchema.properties = {
+    ...inputSchema.properties,
+    ...toJsonSchema(optionsSchema).properties,
+  };
+  return {
+    name,
+    description,
+    category,
+    inputSchema,
+    outputSchema: output ? toJsonSchema(output) : undefined,
+    annotations: {
+      ...CATEGORY_ANNOTATIONS[category],
+      openWorldHint: true,
+      ...annotations,
+    },
+    schema,
+    optionsSchema,
+    handler,
+  };
+}
+
+// Validate raw call arguments into the handler's `input` and `opts`. Both
+// schemas strip keys they do not know, so each sees only its own fields.
+function parseToolArgs(tool, args) {
+  return {
+    input: tool.schema.parse(args || {}),
+    opts: tool.optionsSchema.parse(args || {}),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Result presentation
+// ---------------------------------------------------------------------------
+
+// Keys that hold the records of a list-shaped result, mapped to the key of
+// the actual record inside each item when it is wrapped (search candidates
+// carry score and reasons next to the customer)
+const RECORD_LISTS = { data: null, candidates: "customer" };
+
+// Record fields shown by format "summary" when no `fields` are given
+const SUMMARY_KEYS = [
+  "full_name",
+  "name",
+  "email",
+  "mobile",
+  "status",
+  "amount",
+  "postal_code",
+  "tool",
+  "outcome",
+  "timestamp",
+];
+
+function recordListKey(structured) {
+  return Object.keys(RECORD_LISTS).find((key) => Array.isArray(structured?.[key]));
+}
+
+function getPath(value, path) {
+  return path
+    .split(".")
+    .reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function projectRecord(record, fields) {
+  if (!record || typeof record !== "object") return record;
+  const out = {};
+  for (const path of fields) {
+    const value = getPath(record, path);
+    if (value === undefined) continue;
+    const keys = path.split(".");
+    let target = out;
+    for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+    target[keys[keys.length - 1]] = value;
+  }
+  return out;
+}
+
+// `fields` apply to each record of a list, or to the single record otherwise
+function projectResult(structured, fields) {
+  const key = recordListKey(structured);
+  if (!key) return projectRecord(structured, fields);
+  const inner = RECORD_LISTS[key];
+  return {
+    ...structured,
+    [key]: structured[key].map((item) =>
+      inner ? { ...item, [inner]: projectRecord(item[inner], fields) } : projectRecord(item, fields)
+    ),
+  };
+}
+
+function summarizeRecord(record, fields) {
+  if (!record || typeof record !== "object") return String(record);
+  const parts = (fields || SUMMARY_KEYS)
+    .filter((path) => path !== "id")
+    .map((path) => getPath(record, path))
+    .filter((value) => value !== undefined && value !== null && value !== "")
+    .map((value) => (typeof value === "object" ? JSON.stringify(value) : String(value)));
+  const id = record.id !== undefined ? `#${record.id}` : "";
+  return [id, parts.join(" · ")].filter(Boolean).join(" ") || JSON.stringify(record);
+}
+
+function renderSummary(structured, fields) {
+  const key = recordListKey(structured);
+  if (!key) return summarizeRecord(structured, fields);
+  const records = structured[key];
+  const inner = RECORD_LISTS[key];
+  const total = structured.total != null ? ` of ${structured.total}` : "";
+  const lines = [`${records.length}${total} record(s)`];
+  for (const item of records) {
+    const line = summarizeRecord(inner ? item[inner] : item, fields);
+    lines.push(`- ${line}` + (item.reasons ? ` (${item.reasons.join(", ")})` : ""));
+  }
+  if (structured.next_cursor) lines.push(`More available: cursor ${structured.next_cursor}`);
+  return lines.join("\n");
+}
+
+function renderStructured(structured, format, fields) {
+  if (format === "summary") return renderSummary(structured, fields);
+  return format === "json" ? JSON.stringify(structured, null, 2) : JSON.stringify(structured);
+}
+
+// Use the handler's `spoken` text when asked for it, else apply `fields` /
+// `format` for tools that take them; then enforce the caller's size
+// cap. An oversized list drops trailing records (its next_cursor no longer
+// lines up, so it is cleared); anything else has its text cut.
+function presentResult(result, tool, opts, ctx) {
+  let { spoken, text, structuredContent: structured, ...rest } = result;
+  const shaped =
+    structured &&
+    !(opts.spoken && spoken) &&
+    PRESENTATION_OPTIONS.every((key) => key in tool.optionsSchema.shape);
+  const format = opts.format || "compact";
+
+  if (opts.spoken && spoken) {
+    text = spoken;
+  } else if (shaped) {
+    if (opts.fields?.length) structured = projectResult(structured, opts.fields);
+    text = renderStructured(structured, format, opts.fields);
+  }
+
+  const cap = ctx?.tenant ? ctx.tenant.maxResponseChars : MAX_RESPONSE_CHARS;
+  if (cap > 0 && text.length > cap) {
+    const fullLength = text.length;
+    const key = shaped && recordListKey(structured);
+    if (key) {
+      let records = structured[key];
+      while (text.length > cap && records.length > 1) {
+        records = records.slice(0, Math.max(1, Math.floor((records.length * cap) / text.length)));
+        structured = { ...structured, [key]: records };
+        if ("count" in structured) structured.count = records.length;
+        if ("next_cursor" in structured) structured.next_cursor = null;
+        if ("truncated" in structured) structured.truncated = true;
+        text = renderStructured(structured, format, opts.fields);
+      }
+    }
+    if (text.length > cap) text = text.slice(0, cap);
+    text +=
+      `\n\n[Truncated: the full response was ${fullLength} characters and the limit is ${cap}. ` +
+      (shaped
+        ? 'Ask for fewer records (per), only the fields you need, or format "summary".]'
+        : "Narrow the request to get the rest.]");
+  }
+
+  return structured === undefined
+    ? { ...rest, text }
+    : { ...rest, text, structuredContent: structured };
+}
+
+// ---------------------------------------------------------------------------
+// Voice presentation
+// ---------------------------------------------------------------------------
+
+// Quote, charge and refund tools word their results with these helpers. Each
+// such handler returns a regular `text` plus a `spoken` variant (short
+// sentences, no bullets) that presentResult uses when the caller passes
+// spoken: true.
+
+const FREQUENCY_PHRASES = {
+  seven_times_a_week: "every day",
+  six_times_a_week: "six times a week",
+  five_times_a_week: "five times a week",
+  four_times_a_week: "four times a week",
+  three_times_a_week: "three times a week",
+  two_times_a_week: "twice a week",
+  once_a_week: "once a week",
+  every_other_week: "every other week",
+  once_every_four_weeks: "once every four weeks",
+  once_a_month: "once a month",
+};
+
+const LAST_CLEANED_PHRASES = {
+  one_week: "about a week ago",
+  two_weeks: "about two weeks ago",
+  three_weeks: "about three weeks ago",
+  one_month: "about a month ago",
+  two_months: "about two months ago",
+  "3-4_months": "three to four months ago",
+  "5-6_months": "five to six months ago",
+  "7-9_months": "seven to nine months ago",
+  "10+_months": "more than ten months ago",
+};
+
+function humanizeEnum(value) {
+  return String(value).replace(/[_-]+/g, " ").trim();
+}
+
+function frequencyPhrase(value) {
+  return value ? FREQUENCY_PHRASES[value] || humanizeEnum(value) : null;
+}
+
+function lastCleanedPhrase(value) {
+  return value ? LAST_CLEANED_PHRASES[value] || humanizeEnum(value) : null;
+}
+
+// Format an amount in the caller's currency. `cents` for charge/refund
+// amounts; `spoken` drops ".00" so TTS does not read out zero cents.
+function formatMoney(amount, ctx, { cents = false, spoken = false } = {}) {
+  if (amount === null || amount === undefined || amount === "") return null;
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return String(amount);
+  const major = cents ? value / 100 : value;
+  const whole = Number.isInteger(major);
+  return new Intl.NumberFormat(ctx?.tenant?.locale || LOCALE, {
+    style: "currency",
+    currency: ctx?.tenant?.currency || CURRENCY,
+    minimumFractionDigits: spoken && whole ? 0 : undefined,
+    maximumFractionDigits: spoken && whole ? 0 : undefined,
+  }).format(major);
+}
+
+function formatChargeAmount(amount, ctx, options = {}) {
+  return formatMoney(amount, ctx, { ...options, cents: CHARGE_AMOUNTS_IN_CENTS });
+}
+
+// "85706" is read as a number by most TTS engines; space the digits out
+function spokenDigits(value) {
+  return String(value).split("").join(" ");
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// Text and spoken wording of a price lookup, shared by the quote tools
+function describeQuote(quote, ctx) {
+  const money = (value, spoken) => formatMoney(value, ctx, { spoken });
+  const frequency = frequencyPhrase(quote.clean_up_frequency);
+  const recommended = frequencyPhrase(quote.recommended_frequency);
+  const lastCleaned = lastCleanedPhrase(quote.last_time_yard_was_thoroughly_cleaned);
+
+  const lines = [
+    `Here is a summary based on ${pluralize(quote.number_of_dogs, "dog")} in ZIP ${quote.zip_code}` +
+      (lastCleaned ? `, yard last cleaned ${lastCleaned}.` : "."),
+  ];
+  if (quote.regular_price != null) {
+    lines.push(
+      `- Regular visit estimate: ${money(quote.regular_price)}` +
+        (frequency ? ` (${frequency})` : "")
+    );
+  }
+  if (quote.initial_cleanup_price != null) {
+    lines.push(`- Initial cleanup estimate: ${money(quote.initial_cleanup_price)}`);
+  }
+  if (recommended) lines.push(`- Recommended frequency: ${recommended}`);
+
+  const spoken = [];
+  if (quote.regular_price != null) {
+    spoken.push(
+      `For ${pluralize(quote.number_of_dogs, "dog")} in ZIP code ${spokenDigits(quote.zip_code)}, ` +
+        `regular visits are ${money(quote.regular_price, true)} each` +
+        (frequency ? `, ${frequency}.` : ".")
+    );
+  } else {
+    spoken.push(
+      `I could not find a regular price for ZIP code ${spokenDigits(quote.zip_code)}.`
+    );
+  }
+  if (quote.initial_cleanup_price != null) {
+    spoken.push(
+      `Because the yard was last cleaned ${lastCleaned || "a while ago"}, the first cleanup is ${money(quote.initial_cleanup_price, true)}.`
+    );
+  }
+  if (recommended) spoken.push(`We recommend service ${recommended}.`);
+
+  return { lines, spoken };
+}
+
+// One charge as a short sentence
+function describeCharge(charge, ctx, { spoken = false } = {}) {
+  const amount = formatChargeAmount(charge?.amount, ctx, { spoken });
+  const status = charge?.status ? humanizeEnum(charge.status) : null;
+  const date = charge?.created_at
+    ? new Date(charge.created_at).toLocaleDateString(ctx?.tenant?.locale || LOCALE, {
+        month: "long",
+        day: "numeric",
+        year: "numeric",
+      })
+    : null;
+  const label = spoken ? "A charge" : `Charge ${charge?.id ?? ""}`.trim();
+  return (
+    `${label}` +
+    (amount ? ` of ${amount}` : "") +
+    (date && date !== "Invalid Date" ? ` on ${date}` : "") +
+    (status ? ` is ${status}` : "") +
+    "."
+  );
+}
+
+function describeCharges(charges, ctx, total) {
+  if (!charges.length) return "There are no charges.";
+  const shown = charges.slice(0, 5);
+  const count = total ?? charges.length;
+  const sentences = [`There ${count === 1 ? "is" : "are"} ${pluralize(count, "charge")}.`];
+  for (const charge of shown) sentences.push(describeCharge(charge, ctx, { spoken: true }));
+  if (count > shown.length) sentences.push(`And ${count - shown.length} more.`);
+  return sentences.join(" ");
+}
+
+// ---------------------------------------------------------------------------
+// Resources
+// ---------------------------------------------------------------------------
+
+// Sweep&Go entities as read-only MCP resources. Each one is served by a read
+// tool, so reads go through the same policy, rate limits, cache and audit log;
+// a resource whose tool the caller may not use is hidden. Subscribers are
+// notified when a webhook event touches a resource.
+const RESOURCE_NOT_FOUND = -32002;
+
+const STATIC_RESOURCES = [
+  {
+    uri: "sng://packages",
+    name: "packages",
+    title: "Packages and cross-sells",
+    description: "Packaged cross-sells / add-on bundles offered by the organization.",
+    mimeType: "application/json",
+    tool: "get_packages_list",
+    args: () => ({}),
+  },
+  {
+    uri: "sng://free-quotes",
+    name: "free-quotes",
+    title: "Free quotes",
+    description: "All pre-configured free quotes.",
+    mimeType: "application/json",
+    tool: "get_free_quotes",
+    args: () => ({ all: true }),
+  },
+  {
+    uri: "sng://events",
+    name: "events",
+    title: "Recent webhook events",
+    description: "Sweep&Go webhook events received for the organization, newest first.",
+    mimeType: "application/json",
+    tool: "list_recent_events",
+    args: () => ({}),
+  },
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "sng://customers/{id}",
+    pattern: /^sng:\/\/customers\/([^/?#]+)$/,
+    name: "customer",
+    title: "Customer",
+    description: "A Sweep&Go customer record by id.",
+    mimeType: "application/json",
+    tool: "get_customer",
+    args: ([id]) => ({ id }),
+  },
+  {
+    uriTemplate: "sng://locations/{id}",
+    pattern: /^sng:\/\/locations\/([^/?#]+)$/,
+    name: "location",
+    title: "Location",
+    description: "A Sweep&Go service location by id.",
+    mimeType: "application/json",
+    tool: "get_location",
+    args: ([id]) => ({ id }),
+  },
+  {
+    uriTemplate: "sng://events/{id}",
+    pattern: /^sng:\/\/events\/([^/?#]+)$/,
+    name: "event",
+    title: "Webhook event",
+    description: "A received Sweep&Go webhook event by id.",
+    mimeType: "application/json",
+    tool: "get_event",
+    args: ([id]) => ({ id }),
+  },
+];
+
+function resourceToolAllowed(entry, ctx) {
+  const tool = ALL_TOOLS.find((t) => t.name === entry.tool);
+  return Boolean(tool && toolAllowed(tool, ctx));
+}
+
+function listResources(ctx = {}) {
+  return STATIC_RESOURCES.filter((r) => resourceToolAllowed(r, ctx)).map(
+    ({ uri, name, title, description, mimeType }) => ({ uri, name, title, description, mimeType })
+  );
+}
+
+function listResourceTemplates(ctx = {}) {
+  return RESOURCE_TEMPLATES.filter((t) => resourceToolAllowed(t, ctx)).map(
+    ({ uriTemplate, name, title, description, mimeType }) => ({
+      uriTemplate,
+      name,
+      title,
+      description,
+      mimeType,
+    })
+  );
+}
+
+function matchResource(uri) {
+  const fixed = STATIC_RESOURCES.find((r) => r.uri === uri);
+  if (fixed) return { entry: fixed, args: fixed.args() };
+  for (const template of RESOURCE_TEMPLATES) {
+    const match = template.pattern.exec(uri);
+    if (match) {
+      return { entry: template, args: template.args(match.slice(1).map(decodeURIComponent)) };
+    }
+  }
+  return null;
+}
+
+// resources/read for both transports. Failures are protocol errors here:
+// unknown URIs and Sweep&Go 404s are "resource not found" (-32002).
+async function readResource(uri, ctx = {}) {
+  const match = typeof uri === "string" ? matchResource(uri) : null;
+  if (!match) {
+    throw protocolError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+  let content;
+  try {
+    content = await runTool(match.entry.tool, match.args, ctx);
+  } catch (err) {
+    const toolErr = toToolError(err, match.entry.tool);
+    const code =
+      toolErr.kind === "not_found" || toolErr.kind === "unknown_tool" || toolErr.kind === "forbidden"
+        ? RESOURCE_NOT_FOUND
+        : toolErr.kind === "validation"
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError;
+    throw protocolError(code, toolErrorResult(toolErr).content[0].text);
+  }
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: match.entry.mimeType,
+        text: JSON.stringify(content.structuredContent ?? content.text),
+      },
+    ],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Prompts
+// ---------------------------------------------------------------------------
+
+// Templates for the recurring call flows. Each one spells out which tools to
+// call and in what order; a prompt is hidden when any of its tools is not
+// enabled for the caller. MCP passes prompt arguments as strings.
+function promptArg(value, fallback) {
+  const text = typeof value === "string" ? value.trim() : "";
+  return text || fallback;
+}
+
+function promptSteps(steps) {
+  return steps.map((step, i) => `${i + 1}. ${step}`).join("\n");
+}
+
+const PROMPTS = [
+  {
+    name: "new_lead_quote",
+    title: "New-lead quote call",
+    description: "Quote a new lead on the phone from their ZIP code, dogs and yard condition.",
+    arguments: [
+      { name: "caller_name", description: "Caller's name", required: true },
+      { name: "zip_code", description: "Caller's ZIP code", required: true },
+      { name: "number_of_dogs", description: "Number of dogs, if already known" },
+      { name: "last_cleaned", description: "When the yard was last thoroughly cleaned, if already known" },
+    ],
+    tools: ["check_service_area", "get_quote_recommendations", "get_packages_list"],
+    render: (args) =>
+      [
+        `You are on a sales call with ${args.caller_name}, a new lead in ZIP code ${args.zip_code}. Give them a price quote.`,
+        "",
+        promptSteps([
+          `check_service_area with zip_code "${args.zip_code}" and spoken: true. If it is not serviced, say so and stop.`,
+          `get_quote_recommendations with zip_code "${args.zip_code}", number_of_dogs (${promptArg(args.number_of_dogs, "ask the caller")}) and last_time_yard_was_thoroughly_cleaned (${promptArg(args.last_cleaned, "ask the caller")}); pass clean_up_frequency if they already know how often they want service, and spoken: true.`,
+          "Read the quote back and answer questions about frequencies. Only if they ask about add-ons, call get_packages_list.",
+        ]),
+        "",
+        "If they want to sign up, continue with the onboard_after_quote prompt. Do not create anything during this call flow.",
+      ].join("\n"),
+  },
+  {
+    name: "onboard_after_quote",
+    title: "Onboard a client after a quote",
+    description: "Sign up a caller who has accepted a quote as a new residential client.",
+    arguments: [
+      { name: "caller_name", description: "Caller's name", required: true },
+      { name: "zip_code", description: "ZIP code that was quoted", required: true },
+      { name: "number_of_dogs", description: "Number of dogs that was quoted" },
+      { name: "clean_up_frequency", description: "Frequency the caller chose" },
+    ],
+    tools: ["start_onboarding", "update_onboarding", "get_onboarding_status", "submit_onboarding"],
+    render: (args) =>
+      [
+        `${args.caller_name} accepted a quote for ZIP code ${args.zip_code} and wants to sign up.`,
+        "",
+        promptSteps([
+          `start_onboarding with zip_code "${args.zip_code}"${args.number_of_dogs ? ` and number_of_dogs ${args.number_of_dogs}` : ""}${args.clean_up_frequency ? ` and clean_up_frequency "${args.clean_up_frequency}"` : ""}, plus anything else you already know. Keep the onboarding_id it returns.`,
+          "update_onboarding as each answer comes in, asking only for the fields it reports as missing. Use only the enum values the tool schema lists.",
+          "get_onboarding_status once nothing is missing; read the name, address, email, frequency and locked price back to the caller and get a clear yes.",
+          "submit_onboarding.",
+        ]),
+      ].join("\n"),
+  },
+  {
+    name: "billing_question",
+    title: "Billing question lookup",
+    description: "Find the caller's account and answer a question about their charges.",
+    arguments: [
+      { name: "caller_name", description: "Caller's name", required: true },
+      { name: "phone", description: "Caller's phone number, if known" },
+      { name: "email", description: "Caller's email address, if known" },
+      { name: "question", description: "What the caller is asking about" },
+    ],
+    tools: ["search_customers", "list_charges", "get_charge", "list_payment_methods"],
+    render: (args) =>
+      [
+        `${args.caller_name} has a billing question${args.question ? `: "${args.question}"` : ""}.`,
+        "",
+        promptSteps([
+          `search_customers with name "${args.caller_name}"${args.phone ? `, phone "${args.phone}"` : ""}${args.email ? `, email "${args.email}"` : ""}. Confirm the address on the best candidate with the caller before going on.`,
+          "list_charges with the customer's id as customer_id and spoken: true.",
+          "get_charge for any single charge the caller asks about.",
+          "list_payment_methods with customer_id only if the question is about the card on file.",
+        ]),
+        "",
+        "This flow is read-only. If the caller wants money back, switch to the refund_request prompt.",
+      ].join("\n"),
+  },
+  {
+    name: "refund_request",
+    title: "Refund request",
+    description: "Identify a charge and refund it, in full or in part, after the caller confirms.",
+    arguments: [
+      { name: "caller_name", description: "Caller's name", required: true },
+      { name: "phone", description: "Caller's phone number, if known" },
+      { name: "charge_id", description: "Id of the charge to refund, if known" },
+      { name: "amount", description: "Amount to refund for a partial refund, in the same unit as charge amounts" },
+      { name: "reason", description: "Why the caller wants a refund" },
+    ],
+    tools: ["search_customers", "list_charges", "get_charge", "refund_charge"],
+    render: (args) =>
+      [
+        `${args.caller_name} is asking for a refund${args.reason ? ` because "${args.reason}"` : ""}.`,
+        "",
+        promptSteps([
+          `search_customers with name "${args.caller_name}"${args.phone ? ` and phone "${args.phone}"` : ""}. Confirm the address on the best candidate with the caller before going on.`,
+          args.charge_id
+            ? `get_charge with id "${args.charge_id}" and check it belongs to that customer.`
+            : "list_charges with the customer's id as customer_id and spoken: true, and agree with the caller which charge it is.",
+          `refund_charge with the charge id${args.amount ? ` and amount ${args.amount}` : " (add amount only for a partial refund)"} and no confirmation_token. Read the confirmation message back to the caller.`,
+          "Only after the caller clearly says yes, call refund_charge again with the same arguments plus the confirmation_token you were given.",
+        ]),
+      ].join("\n"),
+  },
+];
+
+function promptAllowed(prompt, ctx) {
+  return prompt.tools.every((name) => {
+    const tool = ALL_TOOLS.find((t) => t.name === name);
+    return Boolean(tool && toolAllowed(tool, ctx));
   });
-  return { type: "text", text: JSON.stringify(data, null, 2) };
+}
+
+function listPrompts(ctx = {}) {
+  return PROMPTS.filter((p) => promptAllowed(p, ctx)).map(
+    ({ name, title, description, arguments: args }) => ({
+      name,
+      title,
+      description,
+      arguments: args,
+    })
+  );
+}
+
+// prompts/get for both transports; unknown prompts and missing required
+// arguments are InvalidParams protocol errors
+function getPrompt(name, args = {}, ctx = {}) {
+  const prompt = PROMPTS.find((p) => p.name === name && promptAllowed(p, ctx));
+  if (!prompt) {
+    throw protocolError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  const values = {};
+  for (const [key, value] of Object.entries(args || {})) {
+    const text = promptArg(value, "");
+    if (text) values[key] = text;
+  }
+  const missing = prompt.arguments
+    .filter((a) => a.required && !values[a.name])
+    .map((a) => a.name);
+  if (missing.length) {
+    throw protocolError(
+      ErrorCode.InvalidParams,
+      `Missing required argument(s) for prompt ${name}: ${missing.join(", ")}`
+    );
+  }
+  return {
+    description: prompt.description,
+    messages: [{ role: "user", content: { type: "text", text: prompt.render(values) } }],
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -742,575 +3970,456 @@ const MCP_PROTOCOL_VERSION = "2025-06-18";
 // Canonical tool list used by both JSON-RPC and SSE transports
 const ALL_TOOLS = [
   // Aliases retained for backward compatibility with earlier sweepgo_* names
-  {
+  defineTool({
     name: "sweepgo_get_onboarding_price",
     description: "Get onboarding price for a residential Sweep&Go client.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        zip_code: { type: "string", description: "5-digit zip code" },
-        number_of_dogs: { type: "integer", minimum: 1 },
-        last_time_yard_was_thoroughly_cleaned: {
-          type: "string",
-          enum: [
-            "one_week",
-            "two_weeks",
-            "three_weeks",
-            "one_month",
-            "two_months",
-            "3-4_months",
-            "5-6_months",
-            "7-9_months",
-            "10+_months",
-          ],
-        },
-        clean_up_frequency: {
-          type: "string",
-          enum: [
-            "seven_times_a_week",
-            "six_times_a_week",
-            "five_times_a_week",
-            "four_times_a_week",
-            "three_times_a_week",
-            "two_times_a_week",
-            "once_a_week",
-            "every_other_week",
-            "once_every_four_weeks",
-            "once_a_month",
-          ],
-        },
-      },
-      required: [
-        "zip_code",
-        "number_of_dogs",
-        "last_time_yard_was_thoroughly_cleaned",
-        "clean_up_frequency",
-      ],
-    },
+    category: "read",
+    schema: OnboardingPriceInputSchema,
+    options: ["cache_bypass", "spoken"],
+    output: PriceOutputSchema,
     handler: tool_get_onboarding_price,
-  },
-  {
+  }),
+  defineTool({
     name: "sweepgo_get_quote_recommendations",
     description:
       "Return a human-readable quote summary Parker can read to the customer.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        zip_code: { type: "string" },
-        number_of_dogs: { type: "integer", minimum: 1 },
-        last_time_yard_was_thoroughly_cleaned: { type: "string" },
-        clean_up_frequency: { type: "string" },
-      },
-      required: [
-        "zip_code",
-        "number_of_dogs",
-        "last_time_yard_was_thoroughly_cleaned",
-      ],
-    },
+    category: "read",
+    schema: OnboardingPriceInputSchema,
+    options: ["cache_bypass", "spoken"],
+    output: QuoteOutputSchema,
     handler: tool_get_quote_recommendations,
-  },
-  {
+  }),
+  defineTool({
     name: "sweepgo_get_packages_list",
     description: "Fetch packaged cross-sells / add-on bundles.",
-    inputSchema: {
-      type: "object",
-      properties: {},
-    },
+    category: "read",
+    schema: EmptySchema,
+    options: ["cache_bypass"],
     handler: tool_get_packages_list,
-  },
-  {
+  }),
+  defineTool({
     name: "sweepgo_create_client",
     description:
-      "Create a new residential Sweep&Go client in Sweep&Go (requires SNG_ALLOW_WRITES=true).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        zip_code: { type: "string" },
-        number_of_dogs: { type: "integer", minimum: 1 },
-        last_time_yard_was_thoroughly_cleaned: { type: "string" },
-        clean_up_frequency: { type: "string" },
-        initial_cleanup_required: { type: "boolean" },
-        first_name: { type: "string" },
-        last_name: { type: "string" },
-        email: { type: "string", format: "email" },
-        home_address: { type: "string" },
-        city: { type: "string" },
-        state: { type: "string" },
-        home_phone_number: { type: "string" },
-        cell_phone_number: { type: "string" },
-        additional_comment: { type: "string" },
-      },
-      required: [
-        "zip_code",
-        "number_of_dogs",
-        "last_time_yard_was_thoroughly_cleaned",
-        "clean_up_frequency",
-        "initial_cleanup_required",
-        "first_name",
-        "last_name",
-        "email",
-        "home_address",
-        "city",
-        "state",
-      ],
-    },
+      "[MUTATING] Create a new residential client in Sweep&Go.",
+    category: "write",
+    schema: CreateClientInputSchema,
+    options: ["idempotency_key"],
     handler: tool_create_client,
-  },
+  }),
   // Canonical tool names (used by SSE transport)
-  {
+  defineTool({
     name: "get_onboarding_price",
     description:
       "Look up Sweep&Go onboarding price info for a household (dogs, zip, last cleaned, optional frequency). Returns raw JSON from Sweep&Go.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        zip_code: { type: "string" },
-        number_of_dogs: { type: "number" },
-        last_time_yard_was_thoroughly_cleaned: { type: "string" },
-        clean_up_frequency: { type: "string" },
-      },
-      required: [
-        "zip_code",
-        "number_of_dogs",
-        "last_time_yard_was_thoroughly_cleaned",
-      ],
-    },
+    category: "read",
+    schema: OnboardingPriceInputSchema,
+    options: ["cache_bypass", "spoken"],
+    output: PriceOutputSchema,
     handler: tool_get_onboarding_price,
-  },
-  {
+  }),
+  defineTool({
     name: "get_packages_list",
     description:
       "Fetch packaged cross-sells / add-on bundles from Sweep&Go for the organization.",
-    inputSchema: {
-      type: "object",
-      properties: {},
-    },
+    category: "read",
+    schema: EmptySchema,
+    options: ["cache_bypass"],
     handler: tool_get_packages_list,
-  },
-  {
+  }),
+  defineTool({
     name: "get_free_quotes",
     description:
-      "Fetch all pre-configured free quotes from Sweep&Go (api/v2/free_quotes).",
-    inputSchema: {
-      type: "object",
-      properties: {},
-    },
+      "Fetch pre-configured free quotes from Sweep&Go (api/v2/free_quotes). Paged: pass next_cursor back as cursor, or all: true.",
+    category: "read",
+    schema: PaginationSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_get_free_quotes,
-  },
-  {
+  }),
+  defineTool({
     name: "get_quote_recommendations",
     description:
       "Given dogs/zip/last cleaned (and optional frequency), fetch pricing and packages and return a human-readable summary Parker can use as a quote.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        zip_code: { type: "string" },
-        number_of_dogs: { type: "number" },
-        last_time_yard_was_thoroughly_cleaned: { type: "string" },
-        clean_up_frequency: { type: "string" },
-      },
-      required: [
-        "zip_code",
-        "number_of_dogs",
-        "last_time_yard_was_thoroughly_cleaned",
-      ],
-    },
+    category: "read",
+    schema: OnboardingPriceInputSchema,
+    options: ["cache_bypass", "spoken"],
+    output: QuoteOutputSchema,
     handler: tool_get_quote_recommendations,
-  },
-  {
+  }),
+  defineTool({
+    name: "check_service_area",
+    description:
+      "Check whether one ZIP code (zip_code) or several (zip_codes) are in the service area, which location covers each, and why not when one is not serviced. Ask this first on a sales call.",
+    category: "read",
+    schema: ServiceAreaSchema,
+    options: ["cache_bypass", "spoken"],
+    output: ServiceAreaOutputSchema,
+    handler: tool_check_service_area,
+  }),
+  defineTool({
     name: "create_client",
     description:
-      "[MUTATING] Create a new residential client in Sweep&Go using the onboarding form fields. Respects SNG_ALLOW_WRITES flag.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        zip_code: { type: "string" },
-        number_of_dogs: { type: "number" },
-        last_time_yard_was_thoroughly_cleaned: { type: "string" },
-        clean_up_frequency: { type: "string" },
-        initial_cleanup_required: { type: "boolean" },
-        first_name: { type: "string" },
-        last_name: { type: "string" },
-        email: { type: "string" },
-        home_address: { type: "string" },
-        city: { type: "string" },
-        state: { type: "string" },
-        home_phone_number: { type: "string" },
-        cell_phone_number: { type: "string" },
-        additional_comment: { type: "string" },
-      },
-      required: [
-        "zip_code",
-        "number_of_dogs",
-        "last_time_yard_was_thoroughly_cleaned",
-        "clean_up_frequency",
-        "initial_cleanup_required",
-        "first_name",
-        "last_name",
-        "email",
-        "home_address",
-        "city",
-        "state",
-      ],
-    },
+      "[MUTATING] Create a new residential client in Sweep&Go using the onboarding form fields.",
+    category: "write",
+    schema: CreateClientInputSchema,
+    options: ["idempotency_key"],
     handler: tool_create_client,
-  },
-  {
+  }),
+  defineTool({
+    name: "start_onboarding",
+    description:
+      "Begin a guided onboarding for a new residential client. Pass any answers you already have; the result lists the fields still missing and, once ZIP, dogs, yard condition and frequency are known, the locked price.",
+    category: "read",
+    schema: OnboardingFieldsSchema,
+    output: OnboardingStatusOutputSchema,
+    annotations: { readOnlyHint: false, idempotentHint: false },
+    handler: tool_start_onboarding,
+  }),
+  defineTool({
+    name: "update_onboarding",
+    description:
+      "Add or correct answers on the current onboarding. Changing ZIP, dogs, yard condition or frequency re-quotes the price.",
+    category: "read",
+    schema: OnboardingUpdateSchema,
+    output: OnboardingStatusOutputSchema,
+    annotations: { readOnlyHint: false },
+    handler: tool_update_onboarding,
+  }),
+  defineTool({
+    name: "get_onboarding_status",
+    description:
+      "Show the answers collected so far on the current onboarding, the fields still missing and the locked price.",
+    category: "read",
+    schema: OnboardingIdSchema,
+    output: OnboardingStatusOutputSchema,
+    annotations: { openWorldHint: false },
+    handler: tool_get_onboarding_status,
+  }),
+  defineTool({
+    name: "submit_onboarding",
+    description:
+      "[MUTATING] Create the client in Sweep&Go from a complete onboarding at its locked price. Read the details back to the caller first.",
+    category: "write",
+    schema: OnboardingIdSchema,
+    handler: tool_submit_onboarding,
+  }),
+  defineTool({
     name: "list_payment_methods",
     description: "List payment methods for a specific customer.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        customer_id: { type: "string" },
-      },
-      required: ["customer_id"],
-    },
+    category: "read",
+    schema: PaymentMethodsListSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_list_payment_methods,
-  },
-  {
+  }),
+  defineTool({
     name: "get_payment_method",
     description: "Fetch a single payment method by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "read",
+    schema: IdSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_get_payment_method,
-  },
-  {
+  }),
+  defineTool({
     name: "get_payment_source",
     description: "Fetch a payment source by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "read",
+    schema: IdSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_get_payment_source,
-  },
-  {
+  }),
+  defineTool({
     name: "create_payment_source",
     description:
       "[MUTATING] Create a payment source from an existing payment method for a customer.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        customer_id: { type: "string" },
-        payment_method_id: { type: "string" },
-        default: { type: "boolean" },
-      },
-      required: ["customer_id", "payment_method_id"],
-    },
+    category: "destructive",
+    schema: PaymentSourceCreateSchema,
+    annotations: { destructiveHint: false },
     handler: tool_create_payment_source,
-  },
-  {
+  }),
+  defineTool({
     name: "list_pre_authorizations",
-    description: "List pre-authorizations (optionally filtered by customer).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        customer_id: { type: "string" },
-      },
-    },
+    description:
+      "List pre-authorizations (optionally filtered by customer). Paged: pass next_cursor back as cursor, or all: true.",
+    category: "read",
+    schema: PreAuthorizationListSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_list_pre_authorizations,
-  },
-  {
+  }),
+  defineTool({
     name: "get_pre_authorization",
-    description: "Fetch a pre-authorization by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    description: "Fetch a pre-authorization by id.",
+    category: "read",
+    schema: IdSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_get_pre_authorization,
-  },
-  {
+  }),
+  defineTool({
     name: "create_pre_authorization",
     description:
       "[MUTATING] Create a pre-authorization for a customer/payment source.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        customer_id: { type: "string" },
-        amount: { type: "number" },
-        location_id: { type: "string" },
-        payment_source_id: { type: "string" },
-        external_reference: { type: "string" },
-        description: { type: "string" },
-      },
-      required: [
-        "customer_id",
-        "amount",
-        "location_id",
-        "payment_source_id",
-      ],
-    },
+    category: "destructive",
+    schema: PreAuthorizationCreateSchema,
+    options: ["idempotency_key"],
     handler: tool_create_pre_authorization,
-  },
-  {
+  }),
+  defineTool({
     name: "delete_pre_authorization",
     description: "[MUTATING] Delete a pre-authorization by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "destructive",
+    schema: IdSchema,
+    annotations: { idempotentHint: true },
     handler: tool_delete_pre_authorization,
-  },
-  {
+  }),
+  defineTool({
     name: "list_charges",
-    description: "List charges (optionally filtered by customer).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        customer_id: { type: "string" },
-      },
-    },
+    description:
+      "List charges (optionally filtered by customer). Paged: pass next_cursor back as cursor, or all: true.",
+    category: "read",
+    schema: ChargeListSchema,
+    output: listOutputSchema(ChargeOutputSchema),
+    options: [...PRESENTATION_OPTIONS, "spoken"],
     handler: tool_list_charges,
-  },
-  {
+  }),
+  defineTool({
     name: "get_charge",
     description: "Fetch a charge by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "read",
+    schema: IdSchema,
+    output: ChargeOutputSchema,
+    options: [...PRESENTATION_OPTIONS, "spoken"],
     handler: tool_get_charge,
-  },
-  {
+  }),
+  defineTool({
     name: "create_charge",
     description:
       "[MUTATING] Create a charge for a customer/payment source at a location.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        customer_id: { type: "string" },
-        amount: { type: "number" },
-        location_id: { type: "string" },
-        payment_source_id: { type: "string" },
-        external_reference: { type: "string" },
-        description: { type: "string" },
-      },
-      required: [
-        "customer_id",
-        "amount",
-        "location_id",
-        "payment_source_id",
-      ],
-    },
+    category: "destructive",
+    schema: ChargeCreateSchema,
+    options: ["confirmation_token", "idempotency_key", "spoken"],
     handler: tool_create_charge,
-  },
-  {
+  }),
+  defineTool({
     name: "refund_charge",
     description:
       "[MUTATING] Refund a charge (full or partial when amount is provided).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-        amount: { type: "number" },
-      },
-      required: ["id"],
-    },
+    category: "destructive",
+    schema: RefundSchema,
+    options: ["confirmation_token", "spoken"],
     handler: tool_refund_charge,
-  },
-  {
+  }),
+  defineTool({
     name: "list_customers",
-    description: "List customers with optional pagination.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        page: { type: "number" },
-        per: { type: "number" },
-      },
-    },
+    description:
+      "List customers. Paged: pass next_cursor back as cursor, or all: true; the result reports the total count.",
+    category: "read",
+    schema: CustomerListSchema,
+    output: listOutputSchema(CustomerOutputSchema),
+    options: PRESENTATION_OPTIONS,
     handler: tool_list_customers,
-  },
-  {
+  }),
+  defineTool({
     name: "get_customer",
     description: "Fetch a customer by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "read",
+    schema: IdSchema,
+    output: CustomerOutputSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_get_customer,
-  },
-  {
+  }),
+  defineTool({
+    name: "search_customers",
+    description:
+      "Find customers by any combination of phone (any format), email, name fragment, street address and postal code. Returns ranked candidates with the reasons each one matched; confirm with the caller before acting on one.",
+    category: "read",
+    schema: CustomerSearchSchema,
+    output: CustomerSearchOutputSchema,
+    options: PRESENTATION_OPTIONS,
+    handler: tool_search_customers,
+  }),
+  defineTool({
     name: "create_customer",
     description: "[MUTATING] Create a customer.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        full_name: { type: "string" },
-        email: { type: "string" },
-        mobile: { type: "string" },
-        address_1: { type: "string" },
-        address_2: { type: "string" },
-        region: { type: "string" },
-        postal_code: { type: "string" },
-        notes: { type: "string" },
-      },
-      required: ["full_name", "email", "mobile"],
-    },
+    category: "write",
+    schema: CustomerCreateSchema,
     handler: tool_create_customer,
-  },
-  {
+  }),
+  defineTool({
     name: "update_customer",
     description: "[MUTATING] Update customer fields (any combination).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-        full_name: { type: "string" },
-        email: { type: "string" },
-        mobile: { type: "string" },
-        address_1: { type: "string" },
-        address_2: { type: "string" },
-        region: { type: "string" },
-        postal_code: { type: "string" },
-        notes: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "write",
+    schema: CustomerUpdateSchema,
+    annotations: { idempotentHint: true },
     handler: tool_update_customer,
-  },
-  {
+  }),
+  defineTool({
     name: "delete_customer",
     description: "[MUTATING] Delete a customer by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "destructive",
+    schema: IdSchema,
+    options: ["confirmation_token"],
+    annotations: { idempotentHint: true },
     handler: tool_delete_customer,
-  },
-  {
+  }),
+  defineTool({
     name: "list_locations",
-    description: "List locations with optional pagination.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        page: { type: "number" },
-        per: { type: "number" },
-      },
-    },
+    description:
+      "List locations. Paged: pass next_cursor back as cursor, or all: true; the result reports the total count.",
+    category: "read",
+    schema: LocationListSchema,
+    options: ["cache_bypass", ...PRESENTATION_OPTIONS],
+    output: listOutputSchema(LocationOutputSchema),
     handler: tool_list_locations,
-  },
-  {
+  }),
+  defineTool({
     name: "get_location",
     description: "Fetch a location by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "read",
+    schema: IdSchema,
+    options: ["cache_bypass", ...PRESENTATION_OPTIONS],
+    output: LocationOutputSchema,
     handler: tool_get_location,
-  },
-  {
+  }),
+  defineTool({
     name: "create_location",
     description: "[MUTATING] Create a location.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: { type: "string" },
-        address_1: { type: "string" },
-        address_2: { type: "string" },
-        postal_code: { type: "string" },
-        region: { type: "string" },
-        email: { type: "string" },
-        mobile: { type: "string" },
-        website: { type: "string" },
-        logo_url: { type: "string" },
-        type: { type: "string" },
-      },
-      required: [
-        "name",
-        "address_1",
-        "postal_code",
-        "region",
-        "email",
-        "mobile",
-      ],
-    },
+    category: "destructive",
+    schema: LocationCreateSchema,
+    annotations: { destructiveHint: false },
     handler: tool_create_location,
-  },
-  {
+  }),
+  defineTool({
     name: "update_location",
     description: "[MUTATING] Update location fields (any combination).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-        name: { type: "string" },
-        address_1: { type: "string" },
-        address_2: { type: "string" },
-        postal_code: { type: "string" },
-        region: { type: "string" },
-        email: { type: "string" },
-        mobile: { type: "string" },
-        website: { type: "string" },
-        logo_url: { type: "string" },
-        type: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "destructive",
+    schema: LocationUpdateSchema,
+    annotations: { idempotentHint: true },
     handler: tool_update_location,
-  },
-  {
+  }),
+  defineTool({
     name: "list_webhooks",
     description:
-      "List webhooks for an organization. Defaults to SNG_ORG_SLUG when organization_id is omitted.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        organization_id: { type: "string" },
-      },
-    },
+      "List webhooks for an organization. Defaults to the caller's organization when organization_id is omitted.",
+    category: "read",
+    schema: WebhookListSchema,
+    options: PRESENTATION_OPTIONS,
     handler: tool_list_webhooks,
-  },
-  {
+  }),
+  defineTool({
     name: "retry_webhook",
     description: "[MUTATING] Retry a webhook delivery by id.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-      },
-      required: ["id"],
-    },
+    category: "write",
+    schema: IdSchema,
     handler: tool_retry_webhook,
-  },
-  {
+  }),
+  defineTool({
     name: "get_packaged_cross_sells",
     description: "Fetch packaged cross-sells for a location.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        location_id: { type: "string" },
-      },
-      required: ["location_id"],
-    },
+    category: "read",
+    schema: PackagedCrossSellsSchema,
+    options: ["cache_bypass", ...PRESENTATION_OPTIONS],
     handler: tool_get_packaged_cross_sells,
-  },
+  }),
+  defineTool({
+    name: "get_audit_log",
+    description:
+      "Search the audit log of tool calls for this organization (e.g. who refunded a charge). Filter by time range (ISO 8601), tool name, customer_id and charge_id; newest 50 entries by default.",
+    category: "read",
+    schema: AuditLogQuerySchema,
+    annotations: { openWorldHint: false },
+    options: PRESENTATION_OPTIONS,
+    handler: tool_get_audit_log,
+  }),
+  defineTool({
+    name: "list_recent_events",
+    description:
+      "List Sweep&Go webhook events received for this organization (new clients, payments, cancellations), newest first. Filter by type, customer_id and since (ISO 8601); 20 by default. Use get_event for the full payload.",
+    category: "read",
+    schema: EventListSchema,
+    annotations: { openWorldHint: false },
+    options: PRESENTATION_OPTIONS,
+    handler: tool_list_recent_events,
+  }),
+  defineTool({
+    name: "get_event",
+    description: "Fetch a received Sweep&Go webhook event, with its full payload, by id.",
+    category: "read",
+    schema: IdSchema,
+    annotations: { openWorldHint: false },
+    handler: tool_get_event,
+  }),
 ];
 
+// Tool descriptors as advertised to a caller: tools outside the caller's
+// policy hidden, and location_id made optional when the tenant supplies a
+// default.
+function listTools(ctx = {}) {
+  return ALL_TOOLS.filter((tool) => toolAllowed(tool, ctx)).map(
+    ({ name, description, inputSchema, outputSchema, annotations }) => {
+      if (ctx?.tenant?.defaultLocationId && inputSchema.required) {
+        inputSchema = {
+          ...inputSchema,
+          required: inputSchema.required.filter((key) => key !== "location_id"),
+        };
+      }
+      return outputSchema
+        ? { name, description, inputSchema, outputSchema, annotations }
+        : { name, description, inputSchema, annotations };
+    }
+  );
+}
+
+function findTool(name, ctx = {}) {
+  const tool = ALL_TOOLS.find((t) => t.name === name);
+  if (!tool) {
+    throw new ToolError("unknown_tool", `Unknown tool: ${name}`);
+  }
+  const denied = toolDenialReason(tool, ctx);
+  if (denied) {
+    throw new ToolError("forbidden", denied);
+  }
+  return tool;
+}
+
+// Policy check, argument validation, rate limit, then the handler, with the
+// call recorded in the audit log. Resolves to the presented content item
+// (text plus optional structuredContent); failures are thrown.
+async function runTool(name, args, ctx = {}) {
+  return withAudit(name, args, ctx, async () => {
+    const tool = findTool(name, ctx);
+    const { input, opts } = parseToolArgs(tool, withTenantDefaults(args, ctx));
+    const release = await acquireLimit(
+      "tool",
+      ctx?.sngOrgSlug || ORG_SLUG,
+      ctx?.tenant
+    );
+    try {
+      return presentResult(await tool.handler(input, ctx, opts), tool, opts, ctx);
+    } finally {
+      release();
+    }
+  });
+}
+
+// Shared tools/call dispatch for every transport. Returns a CallToolResult;
+// failures come back as `isError` results, except unknown tools which throw
+// an McpError for the transport to send as a protocol error.
+async function callTool(name, args, ctx = {}) {
+  try {
+    const { structuredContent, ...content } = await runTool(name, args, ctx);
+    return structuredContent === undefined
+      ? { content: [content] }
+      : { content: [content], structuredContent };
+  } catch (err) {
+    const toolErr = toToolError(err, name);
+    if (toolErr.kind === "unknown_tool") {
+      throw protocolError(ErrorCode.InvalidParams, toolErr.message);
+    }
+    if (toolErr.kind === "internal") {
+      console.error(`[MCP] ${name} failed`, err);
+    }
+    return toolErrorResult(toolErr);
+  }
+}
+
 function jsonRpcError(id, code, message, data) {
   return {
     jsonrpc: "2.0",
@@ -1319,23 +4428,12 @@ function jsonRpcError(id, code, message, data) {
   };
 }
 
-async function handleJsonRpc(req, res, sngApiKey, sngOrgSlug) {
+async function handleJsonRpc(req, res, ctx, rawBody) {
   setCors(req, res);
 
-  const raw = await readRequestBody(req);
+  // The body may already have been consumed by the /mcp router
+  const raw = rawBody ?? (await readRequestBody(req));
   const rawTrimmed = raw?.trim() || "";
-  console.log("[MCP] jsonrpc raw body", {
-    contentLength: Number(req.headers["content-length"] || 0),
-    rawPreview: rawTrimmed.slice(0, 500),
-  });
-
-  if (authFailed(req)) {
-    res.writeHead(401, { "Content-Type": "application/json" });
-    res.end(
-      JSON.stringify(jsonRpcError(null, -32600, "Unauthorized: invalid token"))
-    );
-    return;
-  }
 
   // Some clients send empty bodies; default to tools/list for compatibility
   if (!rawTrimmed) {
@@ -1344,7 +4442,7 @@ async function handleJsonRpc(req, res, sngApiKey, sngOrgSlug) {
       JSON.stringify({
         jsonrpc: "2.0",
         id: null,
-        result: { tools: ALL_TOOLS.map(({ handler, ...rest }) => rest) },
+        result: { tools: listTools(ctx) },
       })
     );
     return;
@@ -1354,26 +4452,32 @@ async function handleJsonRpc(req, res, sngApiKey, sngOrgSlug) {
   try {
     payload = JSON.parse(rawTrimmed);
   } catch (err) {
-    // On parse error, fall back to tools/list to be forgiving
-    res.writeHead(200, { "Content-Type": "application/json" });
+    res.writeHead(400, { "Content-Type": "application/json" });
     res.end(
-      JSON.stringify({
-        jsonrpc: "2.0",
-        id: null,
-        result: { tools: ALL_TOOLS.map(({ handler, ...rest }) => rest) },
-      })
+      JSON.stringify(
+        jsonRpcError(null, ErrorCode.ParseError, "Parse error: body is not valid JSON")
+      )
     );
     return;
   }
 
-  if (!payload || payload.jsonrpc !== "2.0" || !payload.method) {
-    res.writeHead(200, { "Content-Type": "application/json" });
+  if (
+    !payload ||
+    typeof payload !== "object" ||
+    Array.isArray(payload) ||
+    payload.jsonrpc !== "2.0" ||
+    typeof payload.method !== "string" ||
+    !payload.method
+  ) {
+    res.writeHead(400, { "Content-Type": "application/json" });
     res.end(
-      JSON.stringify({
-        jsonrpc: "2.0",
-        id: payload?.id ?? null,
-        result: { tools: ALL_TOOLS.map(({ handler, ...rest }) => rest) },
-      })
+      JSON.stringify(
+        jsonRpcError(
+          payload?.id ?? null,
+          ErrorCode.InvalidRequest,
+          'Invalid Request: expected a single JSON-RPC 2.0 object with "jsonrpc": "2.0" and a "method"'
+        )
+      )
     );
     return;
   }
@@ -1408,39 +4512,59 @@ async function handleJsonRpc(req, res, sngApiKey, sngOrgSlug) {
         return;
       }
       case "tools/list": {
-        respond({ tools: ALL_TOOLS.map(({ handler, ...rest }) => rest) });
+        respond({ tools: listTools(ctx) });
+        return;
+      }
+      case "resources/list": {
+        respond({ resources: listResources(ctx) });
+        return;
+      }
+      case "resources/templates/list": {
+        respond({ resourceTemplates: listResourceTemplates(ctx) });
+        return;
+      }
+      case "resources/read": {
+        if (typeof params.uri !== "string" || !params.uri) {
+          throw protocolError(ErrorCode.InvalidParams, "params.uri is required");
+        }
+        respond(await readResource(params.uri, ctx));
+        return;
+      }
+      case "prompts/list": {
+        respond({ prompts: listPrompts(ctx) });
+        return;
+      }
+      case "prompts/get": {
+        if (typeof params.name !== "string" || !params.name) {
+          throw protocolError(ErrorCode.InvalidParams, "params.name is required");
+        }
+        respond(getPrompt(params.name, params.arguments, ctx));
         return;
       }
       case "tools/call": {
         const toolName = params.name;
-        const args = params.arguments || {};
-        const tool = ALL_TOOLS.find((t) => t.name === toolName);
-        if (!tool) {
-          throw new Error(`Unknown tool: ${toolName}`);
+        if (typeof toolName !== "string" || !toolName) {
+          throw protocolError(ErrorCode.InvalidParams, "params.name is required");
         }
-        const content = await tool.handler(args, { sngApiKey, sngOrgSlug });
-        respond({ content: [content] });
+        const args = params.arguments || {};
+        respond(await callTool(toolName, args, ctx));
         return;
       }
       default:
         res.writeHead(400, { "Content-Type": "application/json" });
         res.end(
-          JSON.stringify(jsonRpcError(id, -32601, "Method not found"))
+          JSON.stringify(jsonRpcError(id, ErrorCode.MethodNotFound, `Method not found: ${method}`))
         );
         return;
     }
   } catch (err) {
-    const message = err?.message || "Server error";
+    // Tool failures are already results; anything here is a protocol error
+    if (!(err instanceof McpError)) {
+      console.error("[MCP] jsonrpc error", err);
+    }
+    const code = err instanceof McpError ? err.code : ErrorCode.InternalError;
     res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(
-      JSON.stringify({
-        jsonrpc: "2.0",
-        id,
-        result: {
-          content: [{ type: "text", text: message, isError: true }],
-        },
-      })
-    );
+    res.end(JSON.stringify(jsonRpcError(id, code, err?.message || "Server error")));
   }
 }
 
@@ -1448,7 +4572,10 @@ async function handleJsonRpc(req, res, sngApiKey, sngOrgSlug) {
 // MCP server setup
 // ---------------------------------------------------------------------------
 
-function createTitanServer() {
+// `ctx` carries per-session Sweep&Go credentials ({ sngApiKey, sngOrgSlug,
+// tenant, sessionId }) captured when the session was opened; empty means fall
+// back to env values.
+function createTitanServer(ctx = {}) {
   const server = new Server(
     {
       name: "titan-sweepandgo-mcp",
@@ -1457,14 +4584,15 @@ function createTitanServer() {
     {
       capabilities: {
         tools: {},
+        resources: { subscribe: true },
+        prompts: {},
       },
     }
   );
 
   // List tools
   server.setRequestHandler(ListToolsRequestSchema, async () => {
-    const tools = ALL_TOOLS.map(({ handler, ...rest }) => rest);
-    return { tools };
+    return { tools: listTools(ctx) };
   });
 
   // Call tools
@@ -1472,11 +4600,52 @@ function createTitanServer() {
     const name = req.params.name;
     const args = req.params.arguments || {};
 
-    const tool = ALL_TOOLS.find((t) => t.name === name);
-    if (!tool) {
-      throw new Error(`Unknown tool: ${name}`);
+    return callTool(name, args, ctx);
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources(ctx) };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: listResourceTemplates(ctx) };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+    return readResource(req.params.uri, ctx);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    const { uri } = req.params;
+    if (!matchResource(uri)) {
+      throw protocolError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+    }
+    if (!resourceSubscriptions.has(server)) {
+      // Raw-credential sessions still get subscriptions, but no webhook-driven
+      // updates: undefined never matches an event's org
+      let orgSlug;
+      try {
+        orgSlug = localDataOrg(ctx);
+      } catch {}
+      resourceSubscriptions.set(server, { orgSlug, uris: new Set() });
     }
-    return { content: [await tool.handler(args)] };
+    resourceSubscriptions.get(server).uris.add(uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    resourceSubscriptions.get(server)?.uris.delete(req.params.uri);
+    return {};
+  });
+
+  server.onclose = () => resourceSubscriptions.delete(server);
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: listPrompts(ctx) };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+    return getPrompt(req.params.name, req.params.arguments, ctx);
   });
 
   return server;
@@ -1486,9 +4655,156 @@ function createTitanServer() {
 // Start MCP server with SSE transport on /mcp and a simple 404 elsewhere
 // ---------------------------------------------------------------------------
 
-const mcpServer = createTitanServer();
+// Legacy SSE sessions keyed by sessionId: { transport, server, ctx }
 const transports = new Map();
 
+// Sweep&Go credentials supplied by the caller, either as headers or (for SSE
+// clients that cannot set headers on EventSource) as query params.
+function sngCredentialsFromRequest(req, parsedUrl) {
+  const sngApiKey =
+    req.headers["x-sng-api-key"] ||
+    parsedUrl?.searchParams.get("sng_api_key") ||
+    undefined;
+  const sngOrgSlug =
+    req.headers["x-sng-org-slug"] ||
+    req.headers["x-sng-location-slug"] ||
+    parsedUrl?.searchParams.get("sng_org_slug") ||
+    undefined;
+  return { sngApiKey, sngOrgSlug };
+}
+
+// Resolve the Sweep&Go context for a request: a registered MCP access token
+// wins, then raw credentials (when allowed), then the env defaults. Returns
+// { ctx } or { error } with a message suitable for a 401.
+function resolveSngContext(req, parsedUrl) {
+  const tenant = findTenantByToken(mcpTokenFromRequest(req, parsedUrl));
+  if (tenant) {
+    return {
+      ctx: { sngApiKey: tenant.apiKey, sngOrgSlug: tenant.orgSlug, tenant },
+    };
+  }
+
+  const raw = sngCredentialsFromRequest(req, parsedUrl);
+  if (raw.sngApiKey || raw.sngOrgSlug) {
+    if (!ALLOW_RAW_SNG_KEYS) {
+      return {
+        error:
+          "Raw Sweep&Go credentials are not accepted by this server. Send your MCP access token instead.",
+      };
+    }
+    // A partial pair would mix this caller's key with the deployment's org
+    if (!raw.sngApiKey || !raw.sngOrgSlug) {
+      return {
+        error:
+          "Send both x-sng-api-key and x-sng-org-slug (or sng_api_key and sng_org_slug query params), or neither to use the server defaults.",
+      };
+    }
+    return { ctx: raw };
+  }
+
+  if (TENANTS.length) {
+    return { error: "Missing or unknown MCP access token." };
+  }
+  return { ctx: {} };
+}
+
+// Digest of the raw Sweep&Go key and org a context was resolved from; null
+// for tenants and the env defaults
+function rawCredentialTag(ctx) {
+  if (ctx?.tenant || !ctx?.sngApiKey) return null;
+  return crypto
+    .createHash("sha256")
+    .update(`${ctx.sngOrgSlug || ""}\n${ctx.sngApiKey}`)
+    .digest("hex");
+}
+
+// Session ids show up in URLs and proxy logs, so holding one is not enough:
+// each request on a session must resolve to the tenant, or the raw
+// credentials, that opened it. Returns a reason to refuse the request, or null.
+function sessionCallerMismatch(req, parsedUrl, sessionCtx) {
+  const { ctx, error } = resolveSngContext(req, parsedUrl);
+  if (error) return error;
+  if (
+    (ctx.tenant?.id || null) !== (sessionCtx?.tenant?.id || null) ||
+    rawCredentialTag(ctx) !== rawCredentialTag(sessionCtx)
+  ) {
+    return "This session belongs to a different caller";
+  }
+  return null;
+}
+
+function sendSessionForbidden(res, message) {
+  res.writeHead(403, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(jsonRpcError(null, -32001, message)));
+}
+
+// Keep caller secrets out of the connection log
+function redactForLog(req) {
+  const headers = { ...req.headers };
+  for (const key of ["authorization", "x-sng-api-key", "x-mcp-token", MCP_AUTH_HEADER]) {
+    if (headers[key]) headers[key] = "[redacted]";
+  }
+  const url = String(req.url || "").replace(
+    /([?&](?:sng_api_key|access_token|mcp_sig)=)[^&]*/gi,
+    "$1[redacted]"
+  );
+  return { method: req.method, url, headers };
+}
+
+// Streamable HTTP sessions keyed by Mcp-Session-Id: { transport, ctx,
+// idleTimer, openStreams }. Each session gets its own Server instance because an SDK
+// Server can only be connected to one transport.
+const streamableTransports = new Map();
+
+// (Re)arm the idle timer; clients that vanish without a DELETE would
+// otherwise keep their session in memory forever. An open GET notification
+// stream counts as activity, so the timer stays off until it closes.
+function touchStreamableSession(session) {
+  if (!MCP_SESSION_IDLE_SECONDS) return;
+  clearTimeout(session.idleTimer);
+  if (session.openStreams > 0) return;
+  if (streamableTransports.get(session.transport.sessionId) !== session) return;
+  session.idleTimer = setTimeout(() => {
+    console.log(`[MCP] closing idle session ${session.transport.sessionId}`);
+    session.transport.close().catch((err) => {
+      console.error("[MCP] closing idle session failed", err);
+    });
+  }, MCP_SESSION_IDLE_SECONDS * 1000);
+  session.idleTimer.unref();
+}
+
+function getMcpSessionId(req) {
+  const value = req.headers["mcp-session-id"];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Streamable HTTP clients must accept both JSON and SSE on POST; the legacy
+// JSON-RPC clients (Retell, GHL) only ask for JSON.
+function acceptsEventStream(req) {
+  return (req.headers["accept"] || "").toLowerCase().includes("text/event-stream");
+}
+
+async function startStreamableSession(req, res, payload, ctx) {
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => globalThis.crypto.randomUUID(),
+    onsessioninitialized: (sid) => {
+      ctx.sessionId = sid;
+      const session = { transport, ctx, idleTimer: null, openStreams: 0 };
+      streamableTransports.set(sid, session);
+      touchStreamableSession(session);
+    },
+  });
+  transport.onclose = () => {
+    if (!transport.sessionId) return;
+    clearTimeout(streamableTransports.get(transport.sessionId)?.idleTimer);
+    streamableTransports.delete(transport.sessionId);
+  };
+
+  const server = createTitanServer(ctx);
+  await server.connect(transport);
+  await transport.handleRequest(req, res, payload);
+}
+
 const httpServer = http.createServer(async (req, res) => {
   // Well-known discovery
   if (req.method === "OPTIONS" && req.url === "/.well-known/mcp.json") {
@@ -1510,7 +4826,10 @@ const httpServer = http.createServer(async (req, res) => {
       JSON.stringify({
         mcpServer: {
           version: MCP_PROTOCOL_VERSION,
-          endpoints: [{ url: `${req.headers["x-forwarded-proto"] || "http"}://${req.headers.host}${MCP_PATH}`, protocol: "http" }],
+          endpoints: [
+            { url: `${req.headers["x-forwarded-proto"] || "http"}://${req.headers.host}${MCP_PATH}`, protocol: "http" },
+            { url: `${req.headers["x-forwarded-proto"] || "http"}://${req.headers.host}${MCP_PATH}`, protocol: "streamable-http" },
+          ],
         },
       })
     );
@@ -1530,10 +4849,16 @@ const httpServer = http.createServer(async (req, res) => {
 
   if (req.method === "GET" && pathname === "/tools") {
     setCors(req, res);
+    const denied = authFailed(req, parsedUrl);
+    if (denied) {
+      sendUnauthorized(res, denied);
+      return;
+    }
+    const { ctx = {} } = resolveSngContext(req, parsedUrl);
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(
       JSON.stringify({
-        tools: ALL_TOOLS.map(({ handler, ...rest }) => rest),
+        tools: listTools(ctx),
         mcpId: parsedUrl.searchParams.get("mcpId") || null,
         traceId: globalThis.crypto?.randomUUID?.() || null,
       })
@@ -1541,33 +4866,113 @@ const httpServer = http.createServer(async (req, res) => {
     return;
   }
 
+  // Sweep&Go webhooks carry their own signature instead of MCP credentials
+  if (req.method === "POST" && pathname === "/webhooks/sweepandgo") {
+    try {
+      await handleSweepAndGoWebhook(req, res, parsedUrl);
+    } catch (err) {
+      console.error("[SNG MCP] webhook error", err);
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Server error" }));
+      }
+    }
+    return;
+  }
+
   if (!req.url?.startsWith(MCP_PATH)) {
     res.writeHead(404, { "Content-Type": "text/plain" });
     res.end("Not Found");
     return;
   }
 
-  console.log(
-    `[MCP] incoming connection`,
-    JSON.stringify({ method: req.method, url: req.url, headers: req.headers })
-  );
+  console.log(`[MCP] incoming connection`, JSON.stringify(redactForLog(req)));
 
   // Allow preflight for browsers/clients
   if (req.method === "OPTIONS") {
     setCors(req, res);
     res.writeHead(204, {
       "Access-Control-Allow-Origin": req.headers.origin || "*",
-      "Access-Control-Allow-Headers": "Content-Type, Accept, Authorization, X-Requested-With",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
       "Access-Control-Allow-Credentials": "true",
       "Access-Control-Allow-Headers":
-  "Content-Type, Accept, Authorization, X-SNG-API-Key, X-SNG-Org-Slug",
-
+        "Content-Type, Accept, Authorization, X-Requested-With, X-SNG-API-Key, X-SNG-Org-Slug, X-MCP-Token, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID",
+      "Access-Control-Expose-Headers": "Mcp-Session-Id",
     });
     res.end();
     return;
   }
+
+  // Every /mcp request (SSE connect and messages, Streamable HTTP, JSON-RPC)
+  // passes the same auth gate
+  const denied = authFailed(req, parsedUrl);
+  if (denied) {
+    setCors(req, res);
+    sendUnauthorized(res, denied);
+    return;
+  }
+
   const sessionId = parsedUrl.searchParams.get("sessionId");
+  const mcpSessionId = getMcpSessionId(req);
+
+  // Streamable HTTP: any request carrying Mcp-Session-Id belongs to an
+  // existing session (POST messages, GET notification stream, DELETE to end it)
+  if (mcpSessionId) {
+    setCors(req, res);
+    const session = streamableTransports.get(mcpSessionId);
+    const { transport, ctx: sessionCtx } = session || {};
+    if (!transport) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          jsonrpc: "2.0",
+          error: { code: -32001, message: "Session not found" },
+          id: null,
+        })
+      );
+      return;
+    }
+    const mismatch = sessionCallerMismatch(req, parsedUrl, sessionCtx);
+    if (mismatch) {
+      sendSessionForbidden(res, mismatch);
+      return;
+    }
+    if (req.method === "GET") {
+      session.openStreams++;
+      res.on("close", () => {
+        session.openStreams--;
+        touchStreamableSession(session);
+      });
+    }
+    touchStreamableSession(session);
+
+    try {
+      let payload;
+      if (req.method === "POST") {
+        const raw = await readRequestBody(req);
+        try {
+          payload = JSON.parse(raw);
+        } catch {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(
+            JSON.stringify(jsonRpcError(null, -32700, "Parse error"))
+          );
+          return;
+        }
+      }
+      await transport.handleRequest(req, res, payload);
+    } catch (err) {
+      console.error("[MCP] streamable transport error", err);
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify(jsonRpcError(null, -32603, err?.message || "Server error"))
+        );
+      }
+    }
+    return;
+  }
+
   // SSE setup (GET)
   if (req.method === "GET") {
     // If this is a plain GET without sessionId and accepts JSON, serve tools/list for compatibility
@@ -1576,26 +4981,49 @@ const httpServer = http.createServer(async (req, res) => {
     const hasSession = Boolean(sessionId);
     if (!hasSession && acceptsJson) {
       setCors(req, res);
+      const { ctx = {} } = resolveSngContext(req, parsedUrl);
       res.writeHead(200, { "Content-Type": "application/json" });
       res.end(
         JSON.stringify({
           jsonrpc: "2.0",
           id: null,
-          result: { tools: ALL_TOOLS.map(({ handler, ...rest }) => rest) },
+          result: { tools: listTools(ctx) },
         })
       );
       return;
     }
 
     setCors(req, res);
+
+    // Credentials are bound to the session for its lifetime
+    const { ctx, error } = resolveSngContext(req, parsedUrl);
+    if (error) {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error }));
+      return;
+    }
+
     res.setHeader("Cache-Control", "no-cache");
 
-    const transport = new SSEServerTransport(MCP_PATH, res);
-    transports.set(transport.sessionId, transport);
+    // Carry query-string credentials into the POST endpoint advertised to the
+    // client so its messages pass the auth gate as well
+    const endpoint = new URL(MCP_PATH, "http://localhost");
+    for (const param of AUTH_QUERY_PARAMS) {
+      const value = parsedUrl.searchParams.get(param);
+      if (value) endpoint.searchParams.set(param, value);
+    }
+
+    const transport = new SSEServerTransport(
+      endpoint.pathname + endpoint.search,
+      res
+    );
+    ctx.sessionId = transport.sessionId;
+    const server = createTitanServer(ctx);
+    transports.set(transport.sessionId, { transport, server, ctx });
     transport.onclose = () => transports.delete(transport.sessionId);
 
     try {
-      await mcpServer.connect(transport);
+      await server.connect(transport);
     } catch (err) {
       console.error("[MCP] transport error", err);
       transports.delete(transport.sessionId);
@@ -1617,25 +5045,65 @@ const httpServer = http.createServer(async (req, res) => {
 
     // JSON-RPC MCP over HTTP (no sessionId)
     if (!sessionId) {
-      // For JSON-RPC over HTTP (no SSE session), require per-request Sweep&Go headers
-      const sngApiKey = req.headers["x-sng-api-key"];
-      const sngOrgSlug = req.headers["x-sng-org-slug"] || req.headers["x-sng-location-slug"];
+      const raw = await readRequestBody(req);
+
+      // Streamable HTTP: an initialize request from a client that accepts SSE
+      // opens a new session; everything else stays on the legacy JSON-RPC path.
+      if (acceptsEventStream(req)) {
+        let payload;
+        try {
+          payload = JSON.parse(raw);
+        } catch {
+          payload = null;
+        }
+        const isInit = Array.isArray(payload)
+          ? payload.some((msg) => isInitializeRequest(msg))
+          : isInitializeRequest(payload);
+        if (isInit) {
+          const { ctx, error } = resolveSngContext(req, parsedUrl);
+          if (error) {
+            res.writeHead(401, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ error }));
+            return;
+          }
+          try {
+            await startStreamableSession(req, res, payload, ctx);
+          } catch (err) {
+            console.error("[MCP] streamable session error", err);
+            if (!res.headersSent) {
+              res.writeHead(500, { "Content-Type": "application/json" });
+              res.end(
+                JSON.stringify(
+                  jsonRpcError(null, -32603, err?.message || "Server error")
+                )
+              );
+            }
+          }
+          return;
+        }
+      }
+
+      // For JSON-RPC over HTTP (no SSE session), require per-request
+      // credentials: an MCP access token or Sweep&Go headers
+      const { ctx, error } = resolveSngContext(req, parsedUrl);
 
-      if (!sngApiKey || !sngOrgSlug) {
+      if (error || !ctx.sngApiKey || !ctx.sngOrgSlug) {
         res.writeHead(401, { "Content-Type": "application/json" });
         res.end(
           JSON.stringify({
-            error: "Missing Sweep&Go credentials. Send x-sng-api-key and x-sng-org-slug headers.",
+            error:
+              error ||
+              "Missing Sweep&Go credentials. Send an MCP access token, or x-sng-api-key and x-sng-org-slug headers.",
           })
         );
         return;
       }
 
-      return handleJsonRpc(req, res, sngApiKey, sngOrgSlug);
+      return handleJsonRpc(req, res, ctx, raw);
     }
 
     // SSE POST messages with session
-    const transport = transports.get(sessionId);
+    const { transport, ctx: sessionCtx } = transports.get(sessionId) || {};
     if (!transport) {
       res.writeHead(404, { "Content-Type": "application/json" });
       res.end(
@@ -1647,6 +5115,11 @@ const httpServer = http.createServer(async (req, res) => {
       );
       return;
     }
+    const mismatch = sessionCallerMismatch(req, parsedUrl, sessionCtx);
+    if (mismatch) {
+      sendSessionForbidden(res, mismatch);
+      return;
+    }
 
     try {
       await transport.handlePostMessage(req, res);
@@ -1675,7 +5148,20 @@ const httpServer = http.createServer(async (req, res) => {
   );
 });
 
-httpServer.listen(PORT, "0.0.0.0", () => {
-  const host = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
-  console.log(`Titan Sweep&Go MCP SSE listening on ${host}${MCP_PATH}`);
-});
+if (STDIO_MODE) {
+  // Credentials come from the environment (SNG_API_KEY / SNG_ORG_SLUG), which
+  // desktop clients set in their server config.
+  const stdioTransport = new StdioServerTransport();
+  createTitanServer()
+    .connect(stdioTransport)
+    .then(() => console.error("Titan Sweep&Go MCP running on stdio"))
+    .catch((err) => {
+      console.error("[MCP] stdio transport error", err);
+      process.exit(1);
+    });
+} else {
+  httpServer.listen(PORT, "0.0.0.0", () => {
+    const host = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
+    console.log(`Titan Sweep&Go MCP SSE + Streamable HTTP listening on ${host}${MCP_PATH}`);
+  });
+}